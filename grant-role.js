@@ -0,0 +1,51 @@
+// Bootstrap script for granting a role from the command line, e.g. to create the first admin:
+//   node grant-role.js someone@example.com admin
+// After that, roles are managed through PUT/DELETE /api/admin/users/:id/role.
+
+const { createStore } = require('./lib/storage');
+const { ROLES } = require('./lib/permissions');
+const { createAuditLog } = require('./lib/audit');
+
+async function grantRole() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node grant-role.js <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  const store = createStore();
+  try {
+    const users = store.collection('users');
+    const previous = await users.find(u => u.email === email);
+    const user = await users.update(u => u.email === email, current => ({
+      ...current,
+      role,
+      roleUpdatedBy: 'grant-role.js',
+      roleUpdatedAt: new Date().toISOString()
+    }));
+    if (!user) {
+      console.error(`No user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+    // No signed-in actor here; the audit entry names the script instead
+    await createAuditLog(store.collection('auditLog'), store.collection('auditHead'), store.collection('auditSubjects')).append({
+      action: 'role.grant',
+      kind: 'role',
+      actor: null,
+      targetType: 'user',
+      targetId: user.id,
+      before: previous,
+      after: user,
+      details: { via: 'grant-role.js' }
+    });
+    console.log(`Granted ${role} to ${email}`);
+  } finally {
+    await store.close();
+  }
+}
+
+grantRole().catch(error => {
+  console.error('Failed to grant role:', error);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// One-shot importer: copies the data/*.json collections into the SQLite database.
+//   node import-json-to-sqlite.js [--force]
+// Collections that already have rows in SQLite are skipped unless --force is given,
+// in which case their SQLite contents are replaced by the JSON data.
+
+const { createStore, COLLECTION_FILES, SQLITE_FILE } = require('./lib/storage');
+
+async function importJsonToSqlite() {
+  const force = process.argv.includes('--force');
+  const jsonStore = createStore('json');
+  const sqliteStore = createStore('sqlite');
+
+  try {
+    for (const name of Object.keys(COLLECTION_FILES)) {
+      const records = await jsonStore.collection(name).all();
+      const target = sqliteStore.collection(name);
+      const existing = await target.all();
+
+      if (existing.length > 0 && !force) {
+        console.log(`Skipping ${name}: SQLite already has ${existing.length} records (use --force to replace)`);
+        continue;
+      }
+
+      await target.mutate(rows => {
+        rows.splice(0, rows.length, ...records);
+      });
+      console.log(`Imported ${records.length} records into ${name}`);
+    }
+  } finally {
+    await sqliteStore.close();
+  }
+
+  console.log(`Import complete: ${SQLITE_FILE}`);
+}
+
+importJsonToSqlite().catch(error => {
+  console.error('Import failed:', error);
+  process.exit(1);
+});
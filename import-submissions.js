@@ -0,0 +1,92 @@
+// Bulk import from the command line, with the same validation and duplicate checks as
+// POST /api/import/:dataset (see lib/bulk-import.js):
+//   node import-submissions.js <case-studies|focus-group> <file.json|file.csv> [--dry-run]
+// Prints the per-record report. Nothing is written if any record is invalid.
+
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./lib/storage');
+const { IMPORT_DATASETS, isImportDataset, parseBatch, planImport } = require('./lib/bulk-import');
+const { seedEntries, addContributions } = require('./lib/taxonomy');
+const { createAuditLog } = require('./lib/audit');
+
+const COLLECTIONS = {
+  'case-studies': 'caseStudies',
+  'focus-group': 'focusGroupSubmissions'
+};
+
+function printReport(report) {
+  console.log(`${report.total} records, ${report.valid} valid, ${report.duplicates.length} duplicates, ${report.errors.length} with errors`);
+  report.duplicates.forEach(d => {
+    console.log(`  rows ${d.rows.join(', ')}: duplicate of ${d.existingId || 'an existing record'} (same ${d.reason})`);
+  });
+  report.errors.forEach(e => {
+    e.errors.forEach(error => console.log(`  rows ${e.rows.join(', ')}: ${error.field} ${error.message}`));
+  });
+}
+
+async function importSubmissions() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [dataset, file] = args.filter(arg => !arg.startsWith('--'));
+  if (!isImportDataset(dataset) || !file) {
+    console.error(`Usage: node import-submissions.js <${Object.keys(IMPORT_DATASETS).join('|')}> <file.json|file.csv> [--dry-run]`);
+    process.exit(1);
+  }
+
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const batch = parseBatch(fs.readFileSync(file, 'utf-8'), format, dataset);
+  if (!batch) {
+    console.error('The file must hold a JSON array of records, { "records": [...] }, or CSV with a header row');
+    process.exit(1);
+  }
+
+  const store = createStore();
+  try {
+    const target = store.collection(COLLECTIONS[dataset]);
+    const options = {
+      dataset,
+      sessions: await store.collection('focusGroupSessions').all(),
+      importedBy: 'import-submissions.js'
+    };
+    const plan = dryRun
+      ? planImport(batch, await target.all(), options)
+      : await target.mutate(existing => {
+        const result = planImport(batch, existing, options);
+        existing.push(...result.records);
+        return result;
+      });
+    if (!dryRun && plan.records.length) {
+      await store.collection('taxonomy').mutate(entries => {
+        // Seed first, as the server would, so predefined labels are not recorded as contributions
+        if (!entries.length) entries.push(...seedEntries());
+        addContributions(entries, plan.records);
+      });
+      await createAuditLog(store.collection('auditLog'), store.collection('auditHead'), store.collection('auditSubjects')).append({
+        action: `import.${dataset}`,
+        kind: 'create',
+        actor: null,
+        targetType: dataset === 'focus-group' ? 'focusGroupSubmission' : 'caseStudy',
+        targetId: null,
+        details: { via: 'import-submissions.js', file: path.basename(file), imported: plan.records.map(r => r.id), duplicates: plan.report.duplicates.length }
+      });
+    }
+
+    printReport(plan.report);
+    if (plan.report.errors.length) {
+      console.error('Nothing was imported; fix the errors above and run again');
+      process.exitCode = 1;
+    } else if (dryRun) {
+      console.log(`Dry run: ${plan.report.valid} records would be imported`);
+    } else {
+      console.log(`Imported ${plan.records.length} records into ${dataset}`);
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+importSubmissions().catch(error => {
+  console.error('Import failed:', error);
+  process.exit(1);
+});
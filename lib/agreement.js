@@ -0,0 +1,137 @@
+// Inter-rater agreement for focus group coding
+// Each rater (participant) codes a concept card by choosing a set of values. Every value in
+// the taxonomy, plus any custom value someone chose, is one item that each rater either
+// chose or did not, so the kappas below are computed over those yes/no decisions.
+// Metrics that are undefined for the input (fewer than two raters, no variation) are null.
+
+const DEFAULT_CONSENSUS_THRESHOLD = 0.5;
+
+function round(value) {
+  return value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000;
+}
+
+function mean(values) {
+  const defined = values.filter(value => value !== null);
+  return defined.length ? defined.reduce((sum, value) => sum + value, 0) / defined.length : null;
+}
+
+// Size of the overlap over the size of the union; two empty sets agree completely
+function jaccard(a, b) {
+  const union = new Set([...a, ...b]);
+  if (!union.size) return 1;
+  const overlap = [...a].filter(label => b.has(label)).length;
+  return overlap / union.size;
+}
+
+// Cohen's kappa for two raters over the yes/no decision on each category
+function cohensKappa(a, b, categories) {
+  const n = categories.length;
+  if (!n) return null;
+  let agree = 0;
+  let yesA = 0;
+  let yesB = 0;
+  categories.forEach(category => {
+    const inA = a.has(category);
+    const inB = b.has(category);
+    if (inA === inB) agree++;
+    if (inA) yesA++;
+    if (inB) yesB++;
+  });
+  const observed = agree / n;
+  const expected = (yesA / n) * (yesB / n) + (1 - yesA / n) * (1 - yesB / n);
+  if (expected === 1) return observed === 1 ? 1 : null;
+  return (observed - expected) / (1 - expected);
+}
+
+// Fleiss' kappa for any number of raters over the yes/no decision on each category
+function fleissKappa(sets, categories) {
+  const raters = sets.length;
+  if (raters < 2 || !categories.length) return null;
+  let totalYes = 0;
+  const itemAgreement = categories.map(category => {
+    const yes = sets.filter(set => set.has(category)).length;
+    const no = raters - yes;
+    totalYes += yes;
+    return (yes * yes + no * no - raters) / (raters * (raters - 1));
+  });
+  const observed = mean(itemAgreement);
+  const pYes = totalYes / (categories.length * raters);
+  const expected = pYes * pYes + (1 - pYes) * (1 - pYes);
+  if (expected === 1) return observed === 1 ? 1 : null;
+  return (observed - expected) / (1 - expected);
+}
+
+// Labels chosen by at least `threshold` (a share between 0 and 1) of the raters
+function consensusSet(sets, threshold = DEFAULT_CONSENSUS_THRESHOLD) {
+  if (!sets.length) return [];
+  const counts = new Map();
+  sets.forEach(set => set.forEach(label => counts.set(label, (counts.get(label) || 0) + 1)));
+  return [...counts.entries()]
+    .map(([label, count]) => ({ label, count, share: round(count / sets.length) }))
+    .filter(entry => entry.count / sets.length >= threshold)
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+// All agreement metrics for a map of rater -> set of chosen labels. `categories` is the
+// taxonomy's labels; labels the raters chose outside it are added.
+function agreementSummary(raters, categories, threshold = DEFAULT_CONSENSUS_THRESHOLD) {
+  const names = [...raters.keys()].sort();
+  const sets = names.map(name => raters.get(name));
+  const allCategories = [...new Set([...categories, ...sets.flatMap(set => [...set])])];
+
+  const pairwise = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      pairwise.push({
+        raters: [names[i], names[j]],
+        jaccard: round(jaccard(sets[i], sets[j])),
+        cohensKappa: round(cohensKappa(sets[i], sets[j], allCategories))
+      });
+    }
+  }
+
+  return {
+    raterCount: names.length,
+    categoryCount: allCategories.length,
+    raters: names.map((name, i) => ({ rater: name, labels: [...sets[i]].sort() })),
+    pairwise,
+    meanJaccard: round(mean(pairwise.map(pair => pair.jaccard))),
+    meanCohensKappa: round(mean(pairwise.map(pair => pair.cohensKappa))),
+    fleissKappa: round(fleissKappa(sets, allCategories)),
+    consensusThreshold: threshold,
+    consensus: consensusSet(sets, threshold)
+  };
+}
+
+// How much facilitator edits changed the labels of each rater whose submission was edited.
+// `original` and `current` map rater -> labels before and after the edits.
+function facilitatorChanges(original, current, editedRaters) {
+  const raters = [...editedRaters]
+    .filter(rater => original.has(rater) || current.has(rater))
+    .sort()
+    .map(rater => {
+      const before = original.get(rater) || new Set();
+      const after = current.get(rater) || new Set();
+      return {
+        rater,
+        jaccard: round(jaccard(before, after)),
+        added: [...after].filter(label => !before.has(label)).sort(),
+        removed: [...before].filter(label => !after.has(label)).sort()
+      };
+    });
+  return {
+    editedRaterCount: raters.length,
+    meanJaccard: round(mean(raters.map(rater => rater.jaccard))),
+    raters
+  };
+}
+
+module.exports = {
+  DEFAULT_CONSENSUS_THRESHOLD,
+  jaccard,
+  cohensKappa,
+  fleissKappa,
+  consensusSet,
+  agreementSummary,
+  facilitatorChanges
+};
@@ -0,0 +1,274 @@
+// Research analytics over the values and tensions in submissions
+// Submissions are flattened into one row per case (see caseRows), with labels resolved
+// through the taxonomy so synonyms and merged entries count as one. Every count is a
+// number of cases. Results are shaped for charts: a list of labels plus arrays of counts
+// in the same order.
+
+const { caseItems, buildLabelIndex, resolveLabel } = require('./taxonomy');
+
+// Which submissions to analyse: focus-group submissions (their current revisions), case studies or both
+const SOURCES = ['focus-group', 'case-studies', 'all'];
+const BREAKDOWNS = ['session', 'group', 'conceptCard', 'time'];
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_LIMIT = 20;
+
+// Canonical labels of a case's values or tensions, each once
+function caseLabels(caseItem, kind, index) {
+  const labels = caseItems(caseItem, kind).map(item => {
+    const entry = resolveLabel(index, item.value);
+    return entry ? entry.label : item.value.trim();
+  });
+  return [...new Set(labels)];
+}
+
+// One row per case. Focus-group submissions made before sessions existed are matched to
+// a session by their group name.
+function caseRows(records, { entries = [], sessions = [] } = {}) {
+  const valueIndex = buildLabelIndex(entries, 'value');
+  const tensionIndex = buildLabelIndex(entries, 'tension');
+  const sessionByName = new Map(sessions.map(s => [s.name, s]));
+  const rows = [];
+  records.forEach(record => {
+    (Array.isArray(record.cases) ? record.cases : []).forEach((caseItem, index) => {
+      if (!caseItem) return;
+      const group = caseItem.group || record.group || null;
+      const session = record.sessionId
+        ? sessions.find(s => s.id === record.sessionId)
+        : sessionByName.get(group);
+      rows.push({
+        submissionId: record.id || null,
+        caseId: caseItem.id || null,
+        caseIndex: index,
+        participant: record.email || record.author || null,
+        username: record.username || null,
+        sessionId: record.sessionId || (session && session.id) || null,
+        sessionName: session ? session.name : null,
+        group,
+        conceptCard: record.conceptCard || null,
+        submittedAt: record.submittedAt || null,
+        values: caseLabels(caseItem, 'value', valueIndex),
+        tensions: caseLabels(caseItem, 'tension', tensionIndex)
+      });
+    });
+  });
+  return rows;
+}
+
+// Reads and checks the query string shared by the analytics routes.
+// Returns { options } or { error } with a message.
+function parseAnalyticsQuery(query) {
+  const options = {
+    source: query.source || 'focus-group',
+    kind: query.kind || 'value',
+    by: query.by || null,
+    interval: query.interval || 'month',
+    sessionId: query.sessionId || null,
+    group: query.group || null,
+    conceptCard: query.conceptCard || null,
+    from: query.from ? new Date(query.from) : null,
+    to: query.to ? new Date(query.to) : null,
+    limit: query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT
+  };
+  if (!SOURCES.includes(options.source)) {
+    return { error: `source must be one of: ${SOURCES.join(', ')}` };
+  }
+  if (!['value', 'tension'].includes(options.kind)) {
+    return { error: 'kind must be "value" or "tension"' };
+  }
+  if (options.by && !BREAKDOWNS.includes(options.by)) {
+    return { error: `by must be one of: ${BREAKDOWNS.join(', ')}` };
+  }
+  if (!INTERVALS.includes(options.interval)) {
+    return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+  }
+  if ((options.from && isNaN(options.from)) || (options.to && isNaN(options.to))) {
+    return { error: 'from and to must be dates' };
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    return { error: 'limit must be a positive whole number' };
+  }
+  return { options };
+}
+
+function filterRows(rows, { sessionId, group, conceptCard, from, to }) {
+  return rows.filter(row => {
+    if (sessionId && row.sessionId !== sessionId) return false;
+    if (group && row.group !== group) return false;
+    if (conceptCard && row.conceptCard !== conceptCard) return false;
+    const submittedAt = row.submittedAt ? new Date(row.submittedAt) : null;
+    if (from && (!submittedAt || submittedAt < from)) return false;
+    if (to && (!submittedAt || submittedAt > to)) return false;
+    return true;
+  });
+}
+
+// Start of the day, ISO week (Monday) or month a timestamp falls in, as YYYY-MM-DD (UTC)
+function timeBucket(timestamp, interval) {
+  const date = new Date(timestamp);
+  if (isNaN(date)) return null;
+  if (interval === 'month') {
+    date.setUTCDate(1);
+  } else if (interval === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function bucketOf(row, by, interval) {
+  switch (by) {
+    case 'session': return { key: row.sessionId, name: row.sessionName };
+    case 'group': return { key: row.group, name: row.group };
+    case 'conceptCard': return { key: row.conceptCard, name: row.conceptCard };
+    case 'time': {
+      const key = row.submittedAt ? timeBucket(row.submittedAt, interval) : null;
+      return { key, name: key };
+    }
+    default: return { key: 'all', name: 'All' };
+  }
+}
+
+function countLabels(rows, kind) {
+  const counts = new Map();
+  rows.forEach(row => row[kind === 'value' ? 'values' : 'tensions'].forEach(label => {
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }));
+  return counts;
+}
+
+// Most used labels first, ties alphabetically
+function topLabels(counts, limit) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([label]) => label);
+}
+
+// How many cases use each value or tension, overall and per bucket of the breakdown
+function frequencies(rows, { kind, by, interval, limit }) {
+  const totals = countLabels(rows, kind);
+  const labels = topLabels(totals, limit);
+
+  const buckets = new Map();
+  rows.forEach(row => {
+    const { key, name } = bucketOf(row, by, interval);
+    if (!buckets.has(key)) buckets.set(key, { key, name, rows: [] });
+    buckets.get(key).rows.push(row);
+  });
+  const series = [...buckets.values()]
+    .sort((a, b) => (by === 'time' ? String(a.key).localeCompare(String(b.key)) : b.rows.length - a.rows.length))
+    .map(bucket => {
+      const counts = countLabels(bucket.rows, kind);
+      return {
+        key: bucket.key,
+        name: bucket.name,
+        caseCount: bucket.rows.length,
+        counts: labels.map(label => counts.get(label) || 0)
+      };
+    });
+
+  return {
+    kind,
+    by: by || null,
+    interval: by === 'time' ? interval : null,
+    caseCount: rows.length,
+    labels,
+    totals: labels.map(label => totals.get(label)),
+    series
+  };
+}
+
+// Square matrix of how many cases use both labels; the diagonal is each label's own count
+function coOccurrence(rows, { kind, limit }) {
+  const labels = topLabels(countLabels(rows, kind), limit);
+  const position = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  rows.forEach(row => {
+    const present = row[kind === 'value' ? 'values' : 'tensions'].filter(label => position.has(label));
+    present.forEach(a => present.forEach(b => {
+      matrix[position.get(a)][position.get(b)]++;
+    }));
+  });
+  return { kind, caseCount: rows.length, labels, matrix };
+}
+
+// For each tension, the pairs of values most often chosen in the same case
+function tensionValuePairs(rows, { limit }) {
+  const byTension = new Map();
+  rows.forEach(row => {
+    const values = [...row.values].sort((a, b) => a.localeCompare(b));
+    row.tensions.forEach(tension => {
+      if (!byTension.has(tension)) byTension.set(tension, { caseCount: 0, pairs: new Map() });
+      const entry = byTension.get(tension);
+      entry.caseCount++;
+      for (let i = 0; i < values.length; i++) {
+        for (let j = i + 1; j < values.length; j++) {
+          const key = JSON.stringify([values[i], values[j]]);
+          entry.pairs.set(key, (entry.pairs.get(key) || 0) + 1);
+        }
+      }
+    });
+  });
+  return [...byTension.entries()]
+    .sort((a, b) => b[1].caseCount - a[1].caseCount || a[0].localeCompare(b[0]))
+    .map(([tension, { caseCount, pairs }]) => ({
+      tension,
+      caseCount,
+      pairs: [...pairs.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([key, count]) => ({ values: JSON.parse(key), count }))
+    }));
+}
+
+// Submissions, cases, values and tensions contributed by each participant
+function participantContributions(rows) {
+  const byParticipant = new Map();
+  rows.forEach(row => {
+    const key = row.participant || 'unknown';
+    if (!byParticipant.has(key)) {
+      byParticipant.set(key, {
+        participant: row.participant,
+        username: row.username,
+        submissions: new Set(),
+        cases: 0,
+        values: 0,
+        tensions: 0,
+        distinctValues: new Set(),
+        distinctTensions: new Set(),
+        firstSubmittedAt: row.submittedAt,
+        lastSubmittedAt: row.submittedAt
+      });
+    }
+    const entry = byParticipant.get(key);
+    entry.submissions.add(row.submissionId);
+    entry.cases++;
+    entry.values += row.values.length;
+    entry.tensions += row.tensions.length;
+    row.values.forEach(label => entry.distinctValues.add(label));
+    row.tensions.forEach(label => entry.distinctTensions.add(label));
+    if (row.submittedAt && (!entry.firstSubmittedAt || row.submittedAt < entry.firstSubmittedAt)) entry.firstSubmittedAt = row.submittedAt;
+    if (row.submittedAt && (!entry.lastSubmittedAt || row.submittedAt > entry.lastSubmittedAt)) entry.lastSubmittedAt = row.submittedAt;
+  });
+  return [...byParticipant.values()]
+    .map(entry => ({
+      ...entry,
+      submissions: entry.submissions.size,
+      distinctValues: entry.distinctValues.size,
+      distinctTensions: entry.distinctTensions.size
+    }))
+    .sort((a, b) => b.cases - a.cases || String(a.participant).localeCompare(String(b.participant)));
+}
+
+module.exports = {
+  SOURCES,
+  BREAKDOWNS,
+  INTERVALS,
+  caseRows,
+  parseAnalyticsQuery,
+  filterRows,
+  timeBucket,
+  frequencies,
+  coOccurrence,
+  tensionValuePairs,
+  participantContributions
+};
@@ -0,0 +1,306 @@
+// Audit trail of data-changing actions (GET /api/audit)
+// Entries are only ever appended to the auditLog collection. Each one names the action, the
+// actor, their IP, the target and a summary of the target before and after the change. Every
+// entry carries the hash of the one before it, so an entry edited or removed in the data
+// files afterwards shows up in verifyChain().
+// Entries never hold an email or username themselves: each one is stored as a subject
+// reference, "[subject:<id>]", and the auditSubjects collection maps references back to the
+// identity. Erasing an account overwrites its identities there (forget()), so the chained
+// entries stay as they were written. Entries from before subject references keep the
+// identities they were written with.
+
+const crypto = require('crypto');
+const { redact } = require('./redact');
+const { EMAIL_IN_TEXT } = require('./deidentify');
+const { PERSON_FIELD } = require('./data-rights');
+
+// Action kinds, the coarse filter for compliance reports
+const AUDIT_KINDS = ['create', 'update', 'delete', 'review', 'export', 'role', 'account'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_TEXT = 80;
+
+// Short, log-safe version of a field value
+function summarizeValue(value) {
+  if (Array.isArray(value)) return `[${value.length} item${value.length === 1 ? '' : 's'}]`;
+  if (value && typeof value === 'object') return '{...}';
+  if (typeof value === 'string' && value.length > MAX_TEXT) return `${value.slice(0, MAX_TEXT - 3)}...`;
+  return value;
+}
+
+function summarize(record) {
+  if (!record) return null;
+  return Object.fromEntries(Object.entries(redact(record)).map(([key, value]) => [key, summarizeValue(value)]));
+}
+
+// Before/after summary of a change: whole records for a create or delete, only the fields
+// that differ for an update
+function changeSummary(before, after) {
+  if (!before || !after) {
+    return { before: summarize(before), after: summarize(after) };
+  }
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  const pick = (summary, present) => Object.fromEntries(fields.filter(key => key in present).map(key => [key, summary[key]]));
+  return { fields, before: pick(summarize(before), before), after: pick(summarize(after), after) };
+}
+
+function entryHash(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// The entry following `previous` (null for the first one).
+// action is "<targetType>.<verb>", e.g. "caseStudy.delete"; kind one of AUDIT_KINDS.
+function buildEntry(previous, { action, kind, actor, ip, targetType, targetId, before, after, details }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    seq: previous ? previous.seq + 1 : 1,
+    at: new Date().toISOString(),
+    action,
+    kind,
+    actor: actor ? { id: actor.id, email: actor.email, role: actor.role || null } : null,
+    ip: ip || null,
+    targetType,
+    targetId: targetId === undefined || targetId === null ? null : String(targetId),
+    changes: before === undefined && after === undefined ? null : changeSummary(before, after),
+    details: details ? redact(details) : null,
+    prevHash: previous ? previous.hash : null
+  };
+  entry.hash = entryHash(entry);
+  return entry;
+}
+
+const SUBJECT_REF = /\[subject:([0-9a-f-]{36})\]/g;
+
+// Emails are matched whatever their case
+function subjectKey(identity) {
+  return identity.includes('@') ? identity.toLowerCase() : identity;
+}
+
+// Apply fn to every identity in `value`: emails anywhere (free text included), and usernames
+// in fields that name a person
+function mapIdentities(value, fn, key = null) {
+  if (Array.isArray(value)) return value.map(item => mapIdentities(item, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapIdentities(v, fn, k)]));
+  }
+  if (typeof value !== 'string' || !value) return value;
+  if (key && PERSON_FIELD.test(key)) return fn(value);
+  return value.replace(EMAIL_IN_TEXT, fn);
+}
+
+function identitiesIn(value) {
+  const found = new Set();
+  mapIdentities(value, identity => {
+    found.add(subjectKey(identity));
+    return identity;
+  });
+  return found;
+}
+
+// Copy of `value` with subject references replaced by the identities in `names` (id -> identity)
+function resolveSubjects(value, names) {
+  if (Array.isArray(value)) return value.map(item => resolveSubjects(item, names));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveSubjects(v, names)]));
+  }
+  if (typeof value !== 'string') return value;
+  return value.replace(SUBJECT_REF, (ref, id) => (names.has(id) ? names.get(id) : ref));
+}
+
+// The one record of the auditHead collection: seq and hash of the newest entry
+const HEAD_ID = 'head';
+
+function headOf(entry) {
+  return { id: HEAD_ID, seq: entry.seq, hash: entry.hash };
+}
+
+// Appender over the auditLog repository. The newest entry's seq and hash are kept in the
+// auditHead repository, and each append takes the next link under that collection's lock
+// (a transaction with SQLite), so the CLI scripts and the server never hand out the same
+// seq. Within a process appends are also queued one after another. `subjects` is the
+// auditSubjects repository.
+function createAuditLog(collection, head, subjects) {
+  let queue = Promise.resolve();
+
+  // Only for logs written before the head record existed
+  async function latest() {
+    const entries = await collection.all();
+    return entries.reduce((last, entry) => (!last || entry.seq > last.seq ? entry : last), null);
+  }
+
+  function setHead(records, value) {
+    const index = records.findIndex(r => r.id === HEAD_ID);
+    if (index === -1) records.push(value);
+    else records[index] = value;
+  }
+
+  // identity -> subject reference id for the given identities; the subjects collection is
+  // only written when one of them is new
+  async function subjectIds(identities) {
+    const known = new Map((await subjects.all()).map(s => [s.identity, s.id]));
+    if ([...identities].every(identity => known.has(identity))) return known;
+    return subjects.mutate(records => {
+      for (const identity of identities) {
+        if (records.some(r => r.identity === identity)) continue;
+        records.push({ id: crypto.randomUUID(), identity });
+      }
+      return new Map(records.map(s => [s.identity, s.id]));
+    });
+  }
+
+  // The fields of an entry that may name people, with subject references instead
+  async function pseudonymous({ actor, targetId, before, after, details, ...rest }) {
+    const named = { actor, targetId, before, after, details };
+    const ids = await subjectIds(identitiesIn(named));
+    return { ...rest, ...mapIdentities(named, identity => `[subject:${ids.get(subjectKey(identity))}]`) };
+  }
+
+  return {
+    append(fields) {
+      const appended = queue.then(async () => {
+        const payload = await pseudonymous(fields);
+        const seed = (await head.get(HEAD_ID)) ? null : await latest();
+        const entry = await head.mutate(records => {
+          const previous = records.find(r => r.id === HEAD_ID) || (seed && headOf(seed));
+          const next = buildEntry(previous, payload);
+          setHead(records, headOf(next));
+          return next;
+        });
+        try {
+          await collection.insert(entry);
+        } catch (error) {
+          // Hand the seq back, so the chain has no gap
+          await head.mutate(records => {
+            const current = records.find(r => r.id === HEAD_ID);
+            if (current && current.hash === entry.hash) {
+              setHead(records, { id: HEAD_ID, seq: entry.seq - 1, hash: entry.prevHash });
+            }
+          });
+          throw error;
+        }
+        return entry;
+      });
+      queue = appended.catch(() => {});
+      return appended;
+    },
+
+    // Every entry, with the people it names resolved from their subject references
+    async entries() {
+      const names = new Map((await subjects.all()).map(s => [s.id, s.identity]));
+      return (await collection.all()).map(entry => resolveSubjects(entry, names));
+    },
+
+    // Point the references to a deleted account's email and username at the placeholder
+    // identity. Resolves to how many references changed.
+    forget(user, placeholder) {
+      const replacements = new Map([
+        [subjectKey(user.username), placeholder.username],
+        [subjectKey(user.email), placeholder.email]
+      ]);
+      return subjects.mutate(records => {
+        let count = 0;
+        records.forEach((record, index) => {
+          if (!replacements.has(record.identity)) return;
+          records[index] = { ...record, identity: replacements.get(record.identity) };
+          count++;
+        });
+        return count;
+      });
+    }
+  };
+}
+
+// Check the hash chain. Returns { valid, checked, brokenAt } where brokenAt is the seq
+// of the first entry that does not match.
+function verifyChain(entries) {
+  let previous = null;
+  for (const entry of [...entries].sort((a, b) => a.seq - b.seq)) {
+    const expectedSeq = previous ? previous.seq + 1 : entry.seq;
+    if (entry.seq !== expectedSeq || entry.prevHash !== (previous ? previous.hash : null) || entry.hash !== entryHash(entry)) {
+      return { valid: false, checked: entries.length, brokenAt: entry.seq };
+    }
+    previous = entry;
+  }
+  return { valid: true, checked: entries.length, brokenAt: null };
+}
+
+function parseAuditQuery(query) {
+  const options = {
+    actor: query.actor || null,
+    action: query.action || null,
+    kind: query.kind || null,
+    targetType: query.targetType || null,
+    targetId: query.targetId || null,
+    from: query.from ? new Date(query.from) : null,
+    to: query.to ? new Date(query.to) : null,
+    format: query.format || 'json',
+    limit: query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT,
+    offset: query.offset !== undefined ? Number(query.offset) : 0
+  };
+  if (options.kind && !AUDIT_KINDS.includes(options.kind)) {
+    return { error: `kind must be one of: ${AUDIT_KINDS.join(', ')}` };
+  }
+  if ((options.from && isNaN(options.from)) || (options.to && isNaN(options.to))) {
+    return { error: 'from and to must be dates' };
+  }
+  if (!['json', 'csv'].includes(options.format)) {
+    return { error: 'format must be one of: json, csv' };
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+  if (!Number.isInteger(options.offset) || options.offset < 0) {
+    return { error: 'offset must be a whole number' };
+  }
+  return { options };
+}
+
+// Matching entries, newest first. actor matches the actor's email or id; action matches
+// exactly or by prefix ("caseStudy." for every case study action).
+function filterEntries(entries, { actor, action, kind, targetType, targetId, from, to }) {
+  return entries.filter(entry => {
+    if (actor && !(entry.actor && (entry.actor.email === actor || entry.actor.id === actor))) return false;
+    if (action && !(entry.action === action || (action.endsWith('.') && entry.action.startsWith(action)))) return false;
+    if (kind && entry.kind !== kind) return false;
+    if (targetType && entry.targetType !== targetType) return false;
+    if (targetId && entry.targetId !== targetId) return false;
+    const at = new Date(entry.at);
+    if (from && at < from) return false;
+    if (to && at > to) return false;
+    return true;
+  }).sort((a, b) => b.seq - a.seq);
+}
+
+// One flat row per entry, for CSV reports
+function entryRows(entries) {
+  const columns = ['seq', 'at', 'action', 'kind', 'actorEmail', 'actorRole', 'ip', 'targetType', 'targetId', 'fields', 'before', 'after', 'details'];
+  const rows = entries.map(entry => ({
+    seq: entry.seq,
+    at: entry.at,
+    action: entry.action,
+    kind: entry.kind,
+    actorEmail: entry.actor ? entry.actor.email : null,
+    actorRole: entry.actor ? entry.actor.role : null,
+    ip: entry.ip,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    fields: entry.changes && entry.changes.fields ? entry.changes.fields.join(';') : null,
+    before: entry.changes && entry.changes.before ? JSON.stringify(entry.changes.before) : null,
+    after: entry.changes && entry.changes.after ? JSON.stringify(entry.changes.after) : null,
+    details: entry.details ? JSON.stringify(entry.details) : null
+  }));
+  return { columns, rows };
+}
+
+module.exports = {
+  AUDIT_KINDS,
+  changeSummary,
+  buildEntry,
+  createAuditLog,
+  verifyChain,
+  parseAuditQuery,
+  filterEntries,
+  entryRows
+};
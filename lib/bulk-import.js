@@ -0,0 +1,218 @@
+// Bulk import of case studies and focus-group submissions (used by POST /api/import/:dataset
+// and import-submissions.js)
+// A batch is JSON (an array of records, or { records: [...] }) or CSV in the layout of the
+// per-case export (lib/exports.js): one row per case, with the values and tensions of the
+// case joined by ";". CSV rows with the same submissionId - or, without one, the same
+// participant, concept card/title and submittedAt - become one record.
+// Every record is validated, and records already in the collection (or earlier in the batch)
+// are skipped as duplicates. Nothing is written when any record has errors.
+
+const crypto = require('crypto');
+const { validate } = require('./validation');
+const schemas = require('./schemas');
+const { assignCaseIds } = require('./revisions');
+const { INITIAL_VERSION } = require('./versioning');
+
+const IMPORT_DATASETS = {
+  'case-studies': { schema: schemas.caseStudyImport, owner: 'author', heading: 'title' },
+  'focus-group': { schema: schemas.focusGroupImport, owner: 'email', heading: 'conceptCard' }
+};
+const IMPORT_FORMATS = ['json', 'csv'];
+
+// Whether `dataset` (e.g. from a URL) names one of IMPORT_DATASETS
+function isImportDataset(dataset) {
+  return typeof dataset === 'string' && Object.hasOwn(IMPORT_DATASETS, dataset);
+}
+
+// RFC 4180 CSV -> array of rows (arrays of cells)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+function listCell(value) {
+  return String(value || '').split(';').map(label => label.trim()).filter(Boolean).map(label => ({ value: label }));
+}
+
+// Group per-case CSV rows into records. Returns [{ rows: [line numbers], record }].
+function csvRecords(text, dataset) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return [];
+  const { owner, heading } = IMPORT_DATASETS[dataset];
+  const columns = header.map(name => name.trim());
+  const byKey = new Map();
+  lines.forEach((cells, index) => {
+    const row = Object.fromEntries(columns.map((name, i) => [name, (cells[i] || '').trim()]));
+    const participant = row[owner] || row.participant || '';
+    const key = row.submissionId || [participant, row[heading], row.submittedAt].join('|');
+    if (!byKey.has(key)) {
+      const record = { [owner]: participant };
+      if (row.submissionId) record.id = row.submissionId;
+      if (row.isEditedVersion === 'true') record.isEditedVersion = true;
+      ['username', 'sessionId', 'conceptCard', 'title', 'status', 'description', 'submittedAt'].forEach(field => {
+        if (row[field]) record[field] = row[field];
+      });
+      if (dataset === 'case-studies' && !row.caseIndex && (row.values || row.tensions)) {
+        // A case study without case columns keeps its values on the submission itself
+        record.values = listCell(row.values);
+        record.tensions = listCell(row.tensions);
+      }
+      byKey.set(key, { rows: [], record });
+    }
+    const entry = byKey.get(key);
+    entry.rows.push(index + 2); // line 1 is the header
+    if (dataset === 'focus-group' || row.caseIndex || row.caseTitle || row.group) {
+      const caseItem = {
+        ...(row.caseId && { id: row.caseId }),
+        ...(row.group && { group: row.group }),
+        ...(row.caseTitle && { title: row.caseTitle }),
+        ...(row.caseDescription && { description: row.caseDescription }),
+        values: listCell(row.values),
+        tensions: listCell(row.tensions)
+      };
+      entry.record.cases = [...(entry.record.cases || []), caseItem];
+    }
+  });
+  return [...byKey.values()];
+}
+
+function jsonRecords(body) {
+  const list = Array.isArray(body) ? body : body && Array.isArray(body.records) ? body.records : null;
+  if (!list) return null;
+  return list.map((record, index) => ({ rows: [index + 1], record }));
+}
+
+// Parse a batch into [{ rows, record }], or null when the body is not a batch
+function parseBatch(body, format, dataset) {
+  if (format === 'csv') {
+    return typeof body === 'string' ? csvRecords(body, dataset) : null;
+  }
+  return jsonRecords(typeof body === 'string' ? JSON.parse(body) : body);
+}
+
+// Same person and content, regardless of ids, case ids, timestamps and key order (paper
+// sessions often have no submission time, so it cannot tell records apart)
+function fingerprint(record, dataset) {
+  const { owner, heading } = IMPORT_DATASETS[dataset];
+  const items = list => (Array.isArray(list) ? list : []).filter(item => item && item.value).map(item => item.value.trim().toLowerCase()).sort();
+  const content = {
+    owner: String(record[owner] || '').toLowerCase(),
+    heading: record[heading] || '',
+    values: items(record.values),
+    tensions: items(record.tensions),
+    cases: (Array.isArray(record.cases) ? record.cases : []).filter(Boolean).map(c => ({
+      group: c.group || null,
+      title: c.title || null,
+      description: c.description || null,
+      values: items(c.values),
+      tensions: items(c.tensions)
+    }))
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Decide what a batch would import. `existing` is the current collection and `sessions` the
+// focus group sessions (for sessionId checks). Returns the report and the records to insert.
+function planImport(batch, existing, { dataset, sessions = [], importedBy, now = new Date().toISOString() }) {
+  const { schema } = IMPORT_DATASETS[dataset];
+  const ids = new Set(existing.map(r => r.id).filter(Boolean));
+  const fingerprints = new Map(existing.filter(r => !r.isEditedVersion).map(r => [fingerprint(r, dataset), r]));
+
+  const errors = [];
+  const duplicates = [];
+  const records = [];
+  batch.forEach(({ rows, record: input }) => {
+    if (input && input.isEditedVersion) {
+      errors.push({ rows, errors: [{ field: 'isEditedVersion', message: 'edited versions cannot be imported, only original submissions' }] });
+      return;
+    }
+    const { value, errors: fieldErrors } = validate(schema, input);
+    if (value && value.sessionId && !sessions.some(s => s.id === value.sessionId)) {
+      fieldErrors.push({ field: 'sessionId', message: 'is not a known focus group session' });
+    }
+    if (fieldErrors.length) {
+      errors.push({ rows, errors: fieldErrors });
+      return;
+    }
+
+    const print = fingerprint(value, dataset);
+    if (value.id && ids.has(value.id)) {
+      duplicates.push({ rows, reason: 'id', existingId: value.id });
+      return;
+    }
+    if (fingerprints.has(print)) {
+      duplicates.push({ rows, reason: 'content', existingId: fingerprints.get(print).id || null });
+      return;
+    }
+
+    const record = {
+      ...value,
+      id: value.id || crypto.randomUUID(),
+      submittedAt: value.submittedAt ? new Date(value.submittedAt).toISOString() : now,
+      ...(Array.isArray(value.cases) && { cases: assignCaseIds(value.cases) }),
+      ...(dataset === 'case-studies' && { status: value.status || 'pending', reviewed: Boolean(value.status && value.status !== 'pending') }),
+      importedBy,
+      importedAt: now,
+      version: INITIAL_VERSION
+    };
+    ids.add(record.id);
+    fingerprints.set(print, record);
+    records.push({ rows, record });
+  });
+
+  return {
+    report: {
+      dataset,
+      total: batch.length,
+      valid: records.length,
+      records: records.map(entry => ({ rows: entry.rows, id: entry.record.id })),
+      duplicates,
+      errors
+    },
+    records: errors.length ? [] : records.map(entry => entry.record)
+  };
+}
+
+module.exports = {
+  IMPORT_DATASETS,
+  isImportDataset,
+  IMPORT_FORMATS,
+  parseCsv,
+  parseBatch,
+  fingerprint,
+  planImport
+};
@@ -0,0 +1,41 @@
+// Threaded comments on focus-group submissions (optionally on one case within them)
+// and on individual case studies. Replies point at their parent with parentId; only
+// top-level comments can be resolved, which resolves the whole thread.
+
+const COMMENT_TARGET_TYPES = ['focus-group-submission', 'case-study'];
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Deleted comments that still have replies keep their place in the thread without their text
+function toPublicComment(comment) {
+  return comment.deleted
+    ? { ...comment, body: null }
+    : comment;
+}
+
+// Nest a flat list of comments into threads, oldest first at every level
+function buildThreads(comments) {
+  const byId = new Map();
+  comments
+    .slice()
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(comment => byId.set(comment.id, { ...toPublicComment(comment), replies: [] }));
+
+  const threads = [];
+  byId.forEach(comment => {
+    const parent = comment.parentId && byId.get(comment.parentId);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  });
+  return threads;
+}
+
+module.exports = {
+  COMMENT_TARGET_TYPES,
+  MAX_COMMENT_LENGTH,
+  toPublicComment,
+  buildThreads
+};
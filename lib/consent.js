@@ -0,0 +1,104 @@
+// Research consent
+// Consent documents are versioned (consentDocuments collection); the highest version is the
+// current document. A user's consent is kept on their record in users.json:
+//   consent: { status: 'given' | 'withdrawn', documentId, version, acceptedAt, withdrawnAt, history }
+// Consent to an earlier version keeps counting, unless a later document was published with
+// requiresReconsent - then everyone who accepted an older version has to accept again.
+// Downloads of submissions only include those whose author currently consents.
+
+const crypto = require('crypto');
+const { submissionKey } = require('./revisions');
+
+// What a user's consent comes to: given, withdrawn, outdated (accepted a version that no
+// longer counts) or none
+const CONSENT_STATUSES = ['given', 'withdrawn', 'outdated', 'none'];
+
+function currentDocument(documents) {
+  return documents.reduce((latest, doc) => (!latest || doc.version > latest.version ? doc : latest), null);
+}
+
+// The oldest document version whose acceptance still counts
+function minimumVersion(documents) {
+  return documents
+    .filter(doc => doc.requiresReconsent)
+    .reduce((minimum, doc) => Math.max(minimum, doc.version), 1);
+}
+
+function consentStatus(user, documents) {
+  const consent = user && user.consent;
+  if (!consent) return 'none';
+  if (consent.status === 'withdrawn') return 'withdrawn';
+  return consent.version >= minimumVersion(documents) ? 'given' : 'outdated';
+}
+
+function newConsentDocument({ title, text, requiresReconsent = false }, documents, author) {
+  const current = currentDocument(documents);
+  return {
+    id: crypto.randomUUID(),
+    version: current ? current.version + 1 : 1,
+    title: title.trim(),
+    text,
+    requiresReconsent,
+    publishedBy: author.email,
+    publishedAt: new Date().toISOString()
+  };
+}
+
+// The user's consent after accepting a document or withdrawing
+function giveConsent(user, doc) {
+  const now = new Date().toISOString();
+  const history = (user.consent && user.consent.history) || [];
+  return {
+    status: 'given',
+    documentId: doc.id,
+    version: doc.version,
+    acceptedAt: now,
+    withdrawnAt: null,
+    history: [...history, { action: 'given', documentId: doc.id, version: doc.version, at: now }]
+  };
+}
+
+function withdrawConsent(user) {
+  const now = new Date().toISOString();
+  const { consent } = user;
+  return {
+    ...consent,
+    status: 'withdrawn',
+    withdrawnAt: now,
+    history: [...(consent.history || []), { action: 'withdrawn', documentId: consent.documentId, version: consent.version, at: now }]
+  };
+}
+
+// Lowercased emails of the people who currently consent. `people` are users, or anything
+// else with an email and a consent (the placeholder identities of anonymized accounts).
+function consentingEmails(people, documents) {
+  return new Set(people
+    .filter(person => person.email && consentStatus(person, documents) === 'given')
+    .map(person => person.email.toLowerCase()));
+}
+
+// Split submissions into the ones whose author consents and a count of the rest. Case studies
+// belong to their author; a focus-group revision belongs to the participant of its original.
+function filterConsented(records, dataset, consenting) {
+  const owners = new Map(records.filter(r => !r.isEditedVersion).map(r => [submissionKey(r), r.email]));
+  const ownerOf = record => {
+    if (dataset === 'case-studies') return record.author;
+    return record.isEditedVersion ? owners.get(record.originalSubmissionId) || record.email : record.email;
+  };
+  const included = records.filter(record => {
+    const owner = ownerOf(record);
+    return Boolean(owner) && consenting.has(String(owner).toLowerCase());
+  });
+  return { records: included, excluded: records.length - included.length };
+}
+
+module.exports = {
+  CONSENT_STATUSES,
+  currentDocument,
+  consentStatus,
+  newConsentDocument,
+  giveConsent,
+  withdrawConsent,
+  consentingEmails,
+  filterConsented
+};
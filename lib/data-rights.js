@@ -0,0 +1,235 @@
+// Participant data rights: a copy of everything tied to an account, and account deletion
+// An account holder asks for deletion; it is carried out after a grace period during which
+// they can still sign in and cancel it. Requests are kept in the accountDeletions collection
+// (facilitators can list them) and stay there once carried out, without the person's name or
+// email. What happens to their contributions depends on the policy:
+//   anonymize    case studies, focus-group submissions (with their revisions) and comments
+//                stay in the group datasets, attributed to a placeholder identity
+//   hard-delete  they are removed, together with the revisions and comments on them
+// Either way the account, its sign-in sessions and tokens, its throttle counters, its session
+// memberships and its pseudonyms go, and every other mention of the person (session and
+// taxonomy credits, review and edit stamps, audit log entries) is pointed at the placeholder.
+
+const crypto = require('crypto');
+const { submissionKey, revisionNumber } = require('./revisions');
+const { normalizeLabel, recordItems } = require('./taxonomy');
+
+const DELETION_POLICIES = ['anonymize', 'hard-delete'];
+const DEFAULT_POLICY = DELETION_POLICIES.includes(process.env.ACCOUNT_DELETION_POLICY)
+  ? process.env.ACCOUNT_DELETION_POLICY
+  : 'anonymize';
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) >= 0 && process.env.ACCOUNT_DELETION_GRACE_DAYS
+  ? Number(process.env.ACCOUNT_DELETION_GRACE_DAYS)
+  : 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Account fields that are never handed out, not even to the account holder
+const INTERNAL_USER_FIELDS = ['passwordHash'];
+
+// Keys of the focus-group submissions a person made (their originals, not facilitator edits)
+function ownSubmissionKeys(submissions, user) {
+  return new Set(submissions.filter(s => !s.isEditedVersion && s.email === user.email).map(submissionKey));
+}
+
+function isOwnRevision(submission, keys) {
+  return keys.has(submission.isEditedVersion ? submission.originalSubmissionId : submissionKey(submission));
+}
+
+// Everything stored about a user: their profile, case studies, focus-group submissions with
+// the edited versions derived from them, the comments they wrote, the taxonomy entries they
+// contributed and the audit entries of what they did
+function collectUserData(user, { caseStudies, focusGroupSubmissions, comments, taxonomy, auditLog }) {
+  const profile = Object.fromEntries(Object.entries(user).filter(([key]) => !INTERNAL_USER_FIELDS.includes(key)));
+  const keys = ownSubmissionKeys(focusGroupSubmissions, user);
+  const submissions = focusGroupSubmissions
+    .filter(s => !s.isEditedVersion && keys.has(submissionKey(s)))
+    .map(original => ({
+      ...original,
+      editedVersions: focusGroupSubmissions
+        .filter(s => s.isEditedVersion && s.originalSubmissionId === submissionKey(original))
+        .sort((a, b) => revisionNumber(a) - revisionNumber(b))
+    }));
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    caseStudies: caseStudies.filter(c => c.author === user.email),
+    focusGroupSubmissions: submissions,
+    comments: comments.filter(c => c.author === user.email),
+    taxonomyContributions: taxonomy.filter(entry => entry.createdBy === user.email),
+    auditEntries: auditLog
+      .filter(entry => entry.actor && (entry.actor.id === user.id || entry.actor.email === user.email))
+      .sort((a, b) => a.seq - b.seq)
+  };
+}
+
+// A new deletion request, due after the grace period
+function newDeletionRequest(user, policy = DEFAULT_POLICY, graceDays = GRACE_DAYS) {
+  const now = new Date();
+  return {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role || null,
+    policy,
+    status: 'scheduled',
+    requestedAt: now.toISOString(),
+    scheduledFor: new Date(now.getTime() + graceDays * DAY_MS).toISOString(),
+    cancelledAt: null,
+    completedAt: null,
+    result: null
+  };
+}
+
+// The identity anonymized contributions are attributed to. The email never belongs to an
+// account, so nobody owns the records afterwards.
+function placeholderIdentity() {
+  const tag = crypto.randomBytes(4).toString('hex');
+  return { username: `Deleted participant ${tag}`, email: `deleted-${tag}@deleted.invalid` };
+}
+
+// Fields that name a person by username rather than email
+const PERSON_FIELD = /^(username|authorName)$|By$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Copy of `value` with every mention of the person replaced by the placeholder: their email
+// anywhere (free text included), and their username in fields that name a person. User ids
+// stay, as the deletion request keeps the id too.
+function scrubIdentity(value, user, placeholder, key = null) {
+  if (Array.isArray(value)) return value.map(item => scrubIdentity(item, user, placeholder));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, scrubIdentity(v, user, placeholder, k)]));
+  }
+  if (typeof value !== 'string') return value;
+  const email = new RegExp(escapeRegExp(user.email), 'gi');
+  if (email.test(value)) return value.replace(email, placeholder.email);
+  if (key && PERSON_FIELD.test(key) && value === user.username) return placeholder.username;
+  return value;
+}
+
+// Scrub every record of a collection in place; returns how many changed
+function scrubRecords(records, user, placeholder) {
+  let count = 0;
+  records.forEach((record, index) => {
+    const scrubbed = scrubIdentity(record, user, placeholder);
+    if (JSON.stringify(scrubbed) === JSON.stringify(record)) return;
+    records[index] = scrubbed;
+    count++;
+  });
+  return count;
+}
+
+// The functions below change one collection in place (inside a repository's mutate). The
+// case study and submission ones return { count, ids }: how many records they removed or
+// anonymized, and the ids comments refer to them by.
+
+function eraseCaseStudies(caseStudies, user, policy, placeholder) {
+  const ids = new Set();
+  let count = 0;
+  for (let index = caseStudies.length - 1; index >= 0; index--) {
+    if (caseStudies[index].author !== user.email) continue;
+    ids.add(caseStudies[index].id);
+    if (policy === 'hard-delete') {
+      caseStudies.splice(index, 1);
+    } else {
+      caseStudies[index] = { ...caseStudies[index], author: placeholder.email };
+    }
+    count++;
+  }
+  return { count, ids };
+}
+
+// Originals and every revision of them, edited versions included
+function eraseSubmissions(submissions, user, policy, placeholder) {
+  const ids = ownSubmissionKeys(submissions, user);
+  let count = 0;
+  for (let index = submissions.length - 1; index >= 0; index--) {
+    if (!isOwnRevision(submissions[index], ids)) continue;
+    if (policy === 'hard-delete') {
+      submissions.splice(index, 1);
+    } else {
+      submissions[index] = { ...submissions[index], username: placeholder.username, email: placeholder.email };
+    }
+    count++;
+  }
+  return { count, ids };
+}
+
+// Returns how many of the person's comments were removed or anonymized. `removedTargets`
+// maps a comment target type to the ids of hard-deleted records, whose comments go too. A
+// comment of theirs that has replies is kept as a placeholder, as DELETE /api/comments does.
+function eraseComments(comments, user, policy, placeholder, removedTargets = {}) {
+  let count = 0;
+  const onRemoved = comment => Boolean(removedTargets[comment.targetType] && removedTargets[comment.targetType].has(comment.targetId));
+  for (let index = comments.length - 1; index >= 0; index--) {
+    const comment = comments[index];
+    if (onRemoved(comment)) {
+      comments.splice(index, 1);
+      if (comment.author === user.email) count++;
+      continue;
+    }
+    if (comment.author !== user.email) continue;
+    if (policy === 'anonymize') {
+      comments[index] = { ...comment, author: placeholder.email, authorName: placeholder.username };
+    } else if (comments.some(c => c.parentId === comment.id && !onRemoved(c))) {
+      comments[index] = { ...comment, author: placeholder.email, authorName: placeholder.username, body: null, deleted: true };
+    } else {
+      comments.splice(index, 1);
+    }
+    count++;
+  }
+  return count;
+}
+
+// The taxonomy entries the person contributed. With hard-delete the ones whose label or
+// synonyms none of the remaining `records` use, and that nothing has been merged into, are
+// removed; the others stay and are credited to the placeholder by scrubRecords.
+function eraseContributions(entries, user, policy, records) {
+  if (policy !== 'hard-delete') return 0;
+  const used = new Set(records.flatMap(record => ['value', 'tension']
+    .flatMap(kind => recordItems(record, kind).map(item => `${kind}:${normalizeLabel(item.value)}`))));
+  const inUse = entry => [entry.label, ...(entry.synonyms || [])].some(label => used.has(`${entry.kind}:${normalizeLabel(label)}`));
+  let count = 0;
+  for (let index = entries.length - 1; index >= 0; index--) {
+    const entry = entries[index];
+    if (entry.createdBy !== user.email || entry.predefined) continue;
+    if (!inUse(entry) && !entries.some(e => e.mergedInto === entry.id)) {
+      entries.splice(index, 1);
+      count++;
+    }
+  }
+  return count;
+}
+
+// Take the person off every session roster
+function leaveSessions(sessions, user) {
+  let count = 0;
+  sessions.forEach((session, index) => {
+    const participants = (session.participants || []).filter(email => email !== user.email);
+    const facilitators = (session.facilitators || []).filter(email => email !== user.email);
+    if (participants.length === (session.participants || []).length && facilitators.length === (session.facilitators || []).length) return;
+    sessions[index] = { ...session, participants, facilitators };
+    count++;
+  });
+  return count;
+}
+
+module.exports = {
+  DELETION_POLICIES,
+  DEFAULT_POLICY,
+  GRACE_DAYS,
+  PERSON_FIELD,
+  collectUserData,
+  newDeletionRequest,
+  placeholderIdentity,
+  eraseCaseStudies,
+  eraseSubmissions,
+  eraseComments,
+  eraseContributions,
+  leaveSessions,
+  scrubIdentity,
+  scrubRecords
+};
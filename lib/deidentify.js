@@ -0,0 +1,155 @@
+// De-identification for shared study data
+// Every person (participant or facilitator) gets a pseudonym such as "P-3F9A2C71" that is
+// stable within a study, so the same person keeps the same pseudonym across exports of that
+// study but cannot be linked between studies. The pseudonym table is the re-identification
+// key; it is stored server-side and only handed out through an access-logged route.
+//
+// De-identifying a record:
+//   - identity fields (username, email, author, *By, ...) are replaced with pseudonyms
+//   - emails anywhere in free text become the person's pseudonym, or "[email]" if unknown
+//   - known usernames in free text become the person's pseudonym
+//   - structural fields (ids, labels, groups, timestamps) are left alone
+// De-identifying a user keeps only their pseudonym, role and country.
+
+const crypto = require('crypto');
+const { normalizeRole } = require('./permissions');
+
+const DEFAULT_STUDY = 'default';
+const STUDY_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Fields holding one person's email or username
+const IDENTITY_FIELDS = ['username', 'email', 'author', 'authorName', 'actor', 'participant', 'rater'];
+// Fields holding a list of people's emails
+const IDENTITY_LIST_FIELDS = ['participants', 'facilitators'];
+// Fields that never contain free text
+const STRUCTURAL_FIELD = /^(id|value|label|group|conceptCard|status|kind|role|state|joinCode)$|(Id|At|Timestamp)$/;
+
+const EMAIL_IN_TEXT = /[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[A-Za-z]{2,}/g;
+// Shorter usernames are too likely to match ordinary words
+const MIN_SCRUBBED_USERNAME_LENGTH = 3;
+
+function isIdentityField(key) {
+  return IDENTITY_FIELDS.includes(key) || /By$/.test(key);
+}
+
+function newPseudonym(taken) {
+  let pseudonym;
+  do {
+    pseudonym = `P-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  } while (taken.has(pseudonym));
+  return pseudonym;
+}
+
+// Pseudonyms are keyed by email; people only known by a username are keyed "username:<name>"
+function identityKey(value, usersByUsername) {
+  const text = String(value).trim();
+  if (text.includes('@')) return text.toLowerCase();
+  const user = usersByUsername.get(text.toLowerCase());
+  return user ? user.email.toLowerCase() : `username:${text.toLowerCase()}`;
+}
+
+// Every identity in a set of records (and all registered users), as identity keys
+function collectIdentities(records, users) {
+  const usersByUsername = new Map(users.map(u => [String(u.username).toLowerCase(), u]));
+  const identities = new Set(users.map(u => u.email.toLowerCase()));
+  const walk = (value, key) => {
+    if (Array.isArray(value)) {
+      if (IDENTITY_LIST_FIELDS.includes(key)) {
+        value.filter(item => typeof item === 'string').forEach(item => identities.add(identityKey(item, usersByUsername)));
+      } else {
+        value.forEach(item => walk(item, null));
+      }
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([k, v]) => walk(v, k));
+    } else if (typeof value === 'string' && value && key && isIdentityField(key)) {
+      identities.add(identityKey(value, usersByUsername));
+    }
+  };
+  records.forEach(record => walk(record, null));
+  return identities;
+}
+
+// Add pseudonyms for identities that do not have one in the study yet. `table` is the
+// pseudonym collection ({ study, identity, pseudonym, createdAt }), changed in place.
+function assignPseudonyms(table, study, identities) {
+  const inStudy = table.filter(entry => entry.study === study);
+  const known = new Map(inStudy.map(entry => [entry.identity, entry.pseudonym]));
+  const taken = new Set(inStudy.map(entry => entry.pseudonym));
+  identities.forEach(identity => {
+    if (known.has(identity)) return;
+    const pseudonym = newPseudonym(taken);
+    taken.add(pseudonym);
+    known.set(identity, pseudonym);
+    table.push({ study, identity, pseudonym, createdAt: new Date().toISOString() });
+  });
+  return known;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build the de-identification functions for a study from its identity -> pseudonym map
+function createDeidentifier(pseudonyms, users) {
+  const usersByUsername = new Map(users.map(u => [String(u.username).toLowerCase(), u]));
+  const pseudonymOf = value => pseudonyms.get(identityKey(value, usersByUsername)) || 'P-UNKNOWN';
+
+  const usernames = users
+    .map(u => String(u.username || ''))
+    .filter(name => name.length >= MIN_SCRUBBED_USERNAME_LENGTH)
+    .sort((a, b) => b.length - a.length);
+  const usernamePattern = usernames.length
+    ? new RegExp(`(?<![\\w@.])(${usernames.map(escapeRegExp).join('|')})(?![\\w@])`, 'gi')
+    : null;
+
+  function text(value) {
+    let scrubbed = value.replace(EMAIL_IN_TEXT, email => pseudonyms.get(email.toLowerCase()) || '[email]');
+    if (usernamePattern) {
+      scrubbed = scrubbed.replace(usernamePattern, name => pseudonymOf(name));
+    }
+    return scrubbed;
+  }
+
+  function value(input, key) {
+    if (Array.isArray(input)) {
+      return IDENTITY_LIST_FIELDS.includes(key)
+        ? input.map(item => (typeof item === 'string' ? pseudonymOf(item) : item))
+        : input.map(item => value(item, null));
+    }
+    if (input && typeof input === 'object') {
+      const output = {};
+      Object.entries(input).forEach(([k, v]) => { output[k] = value(v, k); });
+      return output;
+    }
+    if (typeof input === 'string' && input) {
+      if (key && isIdentityField(key)) return pseudonymOf(input);
+      if (key && STRUCTURAL_FIELD.test(key)) return input;
+      return text(input);
+    }
+    return input;
+  }
+
+  return {
+    pseudonymOf,
+    text,
+    record: record => value(record, null),
+    user: user => ({
+      participant: pseudonymOf(user.email),
+      role: normalizeRole(user.role),
+      country: user.country || null
+    })
+  };
+}
+
+function isValidStudy(study) {
+  return STUDY_PATTERN.test(study);
+}
+
+module.exports = {
+  DEFAULT_STUDY,
+  EMAIL_IN_TEXT,
+  collectIdentities,
+  assignPseudonyms,
+  createDeidentifier,
+  isValidStudy
+};
@@ -0,0 +1,76 @@
+// Account emails. Links point at the frontend (APP_URL), which posts the token back to the API.
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+function hours(seconds) {
+  const value = Math.round(seconds / 3600);
+  return `${value} hour${value === 1 ? '' : 's'}`;
+}
+
+function verificationEmail(user, token, ttlSeconds) {
+  return {
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm your email address for the RAI Online Tool by opening this link:',
+      `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+      '',
+      `The link expires in ${hours(ttlSeconds)}. If you did not create an account, you can ignore this email.`
+    ].join('\n')
+  };
+}
+
+function passwordResetEmail(user, token, ttlSeconds) {
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your RAI Online Tool account. To choose a new password, open this link:',
+      `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+      '',
+      `The link expires in ${hours(ttlSeconds)} and can be used once. If you did not ask for this, you can ignore this email.`
+    ].join('\n')
+  };
+}
+
+function passwordChangedEmail(user) {
+  return {
+    to: user.email,
+    subject: 'Your password was changed',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'The password for your RAI Online Tool account was just changed, and you have been signed out on other devices.',
+      'If this was not you, reset your password right away and contact a facilitator.'
+    ].join('\n')
+  };
+}
+
+function accountDeletionEmail(user, request) {
+  const date = new Date(request.scheduledFor).toUTCString();
+  return {
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `Your RAI Online Tool account will be deleted on ${date}.`,
+      request.policy === 'hard-delete'
+        ? 'Your case studies, focus-group submissions and comments will be deleted with it.'
+        : 'Your case studies, focus-group submissions and comments will stay in the group datasets, no longer linked to you.',
+      '',
+      `Until then you can sign in and cancel the deletion at ${APP_URL}/account. You can also download a copy of your data there.`
+    ].join('\n')
+  };
+}
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+  accountDeletionEmail
+};
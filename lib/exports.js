@@ -0,0 +1,235 @@
+// Tabular research exports (CSV and XLSX) of case studies and focus-group submissions
+// Records can be flattened to one row per submission, per case, or per value/tension
+// ("item", long format). Column names are plain identifiers so the files load straight
+// into R or SPSS; lists inside a cell are joined with "; ".
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+const FLATTEN_LEVELS = ['submission', 'case', 'item'];
+const LIST_SEPARATOR = '; ';
+
+// Reads and checks the export query string. `dataset` is "case-studies" or "focus-group".
+// Returns { options } or { error } with a message.
+function parseExportQuery(query, dataset) {
+  const options = {
+    format: query.format || 'json',
+    flatten: query.flatten || 'submission',
+    group: query.group || null,
+    from: query.from ? new Date(query.from) : null,
+    to: query.to ? new Date(query.to) : null,
+    status: query.status || null,
+    editedOnly: query.editedOnly === 'true'
+  };
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  if (!FLATTEN_LEVELS.includes(options.flatten)) {
+    return { error: `flatten must be one of: ${FLATTEN_LEVELS.join(', ')}` };
+  }
+  if ((options.from && isNaN(options.from)) || (options.to && isNaN(options.to))) {
+    return { error: 'from and to must be dates' };
+  }
+  if (options.status && dataset !== 'case-studies') {
+    return { error: 'status only applies to case studies' };
+  }
+  if (options.editedOnly && dataset !== 'focus-group') {
+    return { error: 'editedOnly only applies to focus-group submissions' };
+  }
+  return { options };
+}
+
+function caseGroup(record, caseItem) {
+  return (caseItem && caseItem.group) || record.group || null;
+}
+
+function recordCases(record) {
+  return (Array.isArray(record.cases) ? record.cases : []).filter(Boolean);
+}
+
+function inGroup(record, group) {
+  return record.group === group || recordCases(record).some(c => caseGroup(record, c) === group);
+}
+
+function filterRecords(records, { group, from, to, status, editedOnly }) {
+  return records.filter(record => {
+    if (group && !inGroup(record, group)) return false;
+    if (status && record.status !== status) return false;
+    if (editedOnly && !record.isEditedVersion) return false;
+    const submittedAt = record.submittedAt ? new Date(record.submittedAt) : null;
+    if (from && (!submittedAt || submittedAt < from)) return false;
+    if (to && (!submittedAt || submittedAt > to)) return false;
+    return true;
+  });
+}
+
+function labels(items) {
+  return (Array.isArray(items) ? items : []).filter(item => item && item.value).map(item => item.value);
+}
+
+// Columns identifying the submission, repeated on every row
+const SUBMISSION_COLUMNS = [
+  'submissionId',
+  'originalSubmissionId',
+  'revision',
+  'isEditedVersion',
+  'participant',
+  'username',
+  'sessionId',
+  'conceptCard',
+  'title',
+  'status',
+  'submittedAt',
+  'editedBy',
+  'editTimestamp'
+];
+
+function submissionColumns(record) {
+  return {
+    submissionId: record.id || null,
+    originalSubmissionId: record.isEditedVersion ? record.originalSubmissionId || null : null,
+    revision: record.isEditedVersion ? record.revision || 1 : 0,
+    isEditedVersion: Boolean(record.isEditedVersion),
+    participant: record.email || record.author || null,
+    username: record.username || null,
+    sessionId: record.sessionId || null,
+    conceptCard: record.conceptCard || null,
+    title: record.title || null,
+    status: record.status || null,
+    submittedAt: record.submittedAt || null,
+    editedBy: record.editedBy || null,
+    editTimestamp: record.editTimestamp || null
+  };
+}
+
+const CASE_COLUMNS = ['caseIndex', 'caseId', 'group', 'caseTitle', 'caseDescription'];
+
+function caseColumns(record, caseItem, index) {
+  return {
+    caseIndex: index,
+    caseId: caseItem.id || null,
+    group: caseGroup(record, caseItem),
+    caseTitle: caseItem.title || null,
+    caseDescription: caseItem.description || null
+  };
+}
+
+// Cases of a record, keeping their position; with a group filter only that group's cases
+function selectedCases(record, group) {
+  return (Array.isArray(record.cases) ? record.cases : [])
+    .map((caseItem, index) => ({ caseItem, index }))
+    .filter(({ caseItem }) => caseItem && (!group || caseGroup(record, caseItem) === group));
+}
+
+function submissionRows(records, { group }) {
+  const columns = [
+    ...SUBMISSION_COLUMNS,
+    'groups', 'caseCount', 'valueCount', 'tensionCount', 'values', 'tensions'
+  ];
+  const rows = records.map(record => {
+    const cases = selectedCases(record, group).map(({ caseItem }) => caseItem);
+    const values = cases.flatMap(c => labels(c.values)).concat(labels(record.values));
+    const tensions = cases.flatMap(c => labels(c.tensions)).concat(labels(record.tensions));
+    return {
+      ...submissionColumns(record),
+      groups: [...new Set(cases.map(c => caseGroup(record, c)).filter(Boolean))].join(LIST_SEPARATOR),
+      caseCount: cases.length,
+      valueCount: values.length,
+      tensionCount: tensions.length,
+      values: values.join(LIST_SEPARATOR),
+      tensions: tensions.join(LIST_SEPARATOR)
+    };
+  });
+  return { columns, rows };
+}
+
+function caseRows(records, { group }) {
+  const columns = [
+    ...SUBMISSION_COLUMNS,
+    ...CASE_COLUMNS,
+    'valueCount', 'tensionCount', 'values', 'tensions'
+  ];
+  const rows = records.flatMap(record => selectedCases(record, group).map(({ caseItem, index }) => ({
+    ...submissionColumns(record),
+    ...caseColumns(record, caseItem, index),
+    valueCount: labels(caseItem.values).length,
+    tensionCount: labels(caseItem.tensions).length,
+    values: labels(caseItem.values).join(LIST_SEPARATOR),
+    tensions: labels(caseItem.tensions).join(LIST_SEPARATOR)
+  })));
+  return { columns, rows };
+}
+
+// Long format: one row per value or tension. Items chosen for the whole submission (rather
+// than a case) have empty case columns.
+function itemRows(records, { group }) {
+  const columns = [
+    ...SUBMISSION_COLUMNS,
+    ...CASE_COLUMNS,
+    'itemType', 'itemIndex', 'label', 'definition', 'category'
+  ];
+  const emptyCase = Object.fromEntries(CASE_COLUMNS.map(column => [column, null]));
+  const items = (list, type) => (Array.isArray(list) ? list : [])
+    .filter(item => item && item.value)
+    .map((item, itemIndex) => ({
+      itemType: type,
+      itemIndex,
+      label: item.value,
+      definition: item.definition || null,
+      category: item.category || null
+    }));
+
+  const rows = [];
+  records.forEach(record => {
+    const base = submissionColumns(record);
+    if (!group) {
+      [...items(record.values, 'value'), ...items(record.tensions, 'tension')]
+        .forEach(item => rows.push({ ...base, ...emptyCase, ...item }));
+    }
+    selectedCases(record, group).forEach(({ caseItem, index }) => {
+      const caseFields = caseColumns(record, caseItem, index);
+      [...items(caseItem.values, 'value'), ...items(caseItem.tensions, 'tension')]
+        .forEach(item => rows.push({ ...base, ...caseFields, ...item }));
+    });
+  });
+  return { columns, rows };
+}
+
+function flattenRecords(records, options) {
+  switch (options.flatten) {
+    case 'case': return caseRows(records, options);
+    case 'item': return itemRows(records, options);
+    default: return submissionRows(records, options);
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv({ columns, rows }) {
+  const lines = [columns.map(csvCell).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+async function toXlsx({ columns, rows }, sheetName) {
+  // Loaded lazily so the server starts without the XLSX writer until it is needed
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column, key: column, width: Math.max(12, column.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(columns.map(column => row[column] ?? null)));
+  return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  FLATTEN_LEVELS,
+  parseExportQuery,
+  filterRecords,
+  flattenRecords,
+  toCsv,
+  toXlsx
+};
@@ -0,0 +1,60 @@
+// Focus group sessions - a named session with its facilitators, concept cards, participant
+// roster and a join code. Participants can only submit to a session that is open and that
+// they belong to. The session name doubles as the `group` string stored on each case.
+
+const crypto = require('crypto');
+
+const SESSION_STATES = ['open', 'closed'];
+
+// No 0/O or 1/I, so codes can be read out loud in a session
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+function generateJoinCode() {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function normalizeJoinCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function isSessionFacilitator(session, user) {
+  return Boolean(user) && (session.facilitators || []).includes(user.email);
+}
+
+function isSessionParticipant(session, user) {
+  return Boolean(user) && (session.participants || []).includes(user.email);
+}
+
+// Whether a focus-group submission belongs to a session. Submissions made before sessions
+// existed only carry the group name on their cases.
+function submissionInSession(submission, session) {
+  if (submission.sessionId) return submission.sessionId === session.id;
+  return (submission.cases || []).some(c => c.group === session.name);
+}
+
+// What participants get to see of a session (no join code, no roster)
+function toParticipantView(session) {
+  return {
+    id: session.id,
+    name: session.name,
+    facilitators: session.facilitators,
+    scheduledAt: session.scheduledAt,
+    conceptCards: session.conceptCards,
+    state: session.state
+  };
+}
+
+module.exports = {
+  SESSION_STATES,
+  generateJoinCode,
+  normalizeJoinCode,
+  isSessionFacilitator,
+  isSessionParticipant,
+  submissionInSession,
+  toParticipantView
+};
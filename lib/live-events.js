@@ -0,0 +1,103 @@
+// Live updates for focus groups over Server-Sent Events
+// Events are published per group (a focus group session files its cases under its name) and
+// kept in a per-group buffer, so a client reconnecting with Last-Event-ID gets what it
+// missed. Event ids are "<epoch>-<n>": the epoch changes when the server restarts, and an id
+// from another epoch, or one older than the buffer, cannot be replayed - the client gets a
+// "reset" event and should reload the group through GET /api/group-submissions.
+// Every event carries its full data, for facilitators, and a public version (names and emails
+// replaced by pseudonyms) that is all other subscribers get. An event published with
+// canSee(user) only goes to the subscribers it accepts.
+// The hub lives in memory, like the JSON store's write lock, so it assumes one server process.
+
+const DEFAULT_BUFFER_SIZE = Number(process.env.LIVE_EVENT_BUFFER) || 500;
+const HEARTBEAT_MS = 25 * 1000;
+
+function createEventHub({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+  const epoch = Date.now().toString(36);
+  let counter = 0;
+  const channels = new Map();
+
+  function channel(name) {
+    if (!channels.has(name)) channels.set(name, { events: [], droppedThrough: 0, listeners: new Set() });
+    return channels.get(name);
+  }
+
+  return {
+    // Send an event to everyone following the group (or those canSee accepts); publicData is
+    // what subscribers who may not see identities get. Returns the event.
+    publish(group, type, data, publicData = data, { canSee = null } = {}) {
+      const target = channel(group);
+      const at = new Date().toISOString();
+      const event = {
+        id: `${epoch}-${++counter}`,
+        seq: counter,
+        type,
+        data: { ...data, group, at },
+        publicData: { ...publicData, group, at },
+        canSee
+      };
+      target.events.push(event);
+      if (target.events.length > bufferSize) target.droppedThrough = target.events.shift().seq;
+      target.listeners.forEach(listener => listener(event));
+      return event;
+    },
+
+    // Follow a group. Returns a function that stops following.
+    subscribe(group, listener) {
+      const target = channel(group);
+      target.listeners.add(listener);
+      return () => target.listeners.delete(listener);
+    },
+
+    // Events after lastEventId, or null when they can no longer be replayed
+    since(group, lastEventId) {
+      const { events, droppedThrough } = channel(group);
+      const [idEpoch, n] = String(lastEventId).split('-');
+      const seq = Number(n);
+      if (idEpoch !== epoch || !Number.isInteger(seq) || droppedThrough > seq) return null;
+      return events.filter(event => event.seq > seq);
+    }
+  };
+}
+
+function writeEvent(res, { id, type, data, publicData, canSee }, { full, user }) {
+  if (canSee && !canSee(user)) return;
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(full ? data : publicData)}\n\n`);
+}
+
+// Turn the response into an event stream for the group: replay from lastEventId (if any),
+// then send events as they are published until the client goes away. Only with `full` does
+// the subscriber get the events' full data; `user` is who canSee checks.
+function streamEvents(hub, req, res, group, lastEventId, { full = false, user = req.user } = {}) {
+  const subscriber = { full, user };
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Keep reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (lastEventId) {
+    const missed = hub.since(group, lastEventId);
+    if (missed) {
+      missed.forEach(event => writeEvent(res, event, subscriber));
+    } else {
+      res.write(`event: reset\ndata: ${JSON.stringify({ group, reason: 'Missed events can no longer be replayed; reload the group' })}\n\n`);
+    }
+  }
+
+  const unsubscribe = hub.subscribe(group, event => writeEvent(res, event, subscriber));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  createEventHub,
+  streamEvents
+};
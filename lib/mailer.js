@@ -0,0 +1,96 @@
+// Outgoing mail
+// Messages go through a transport chosen with MAIL_TRANSPORT:
+//   console (default)   print each message to the server log; with NODE_ENV=production
+//                       the tokens in links are masked, as those logs are kept and shared
+//   file                write each message as a JSON file to MAIL_DIR (default data/mail),
+//                       for local development and tests
+//   <path to a module>  a module exporting an object with async send(message), or a
+//                       function returning one - e.g. a wrapper around an SMTP client
+// A message is { from, to, subject, text, sentAt }.
+// With NODE_ENV=production and no MAIL_TRANSPORT mail is disabled: the console transport
+// would swallow verification and reset emails, so an error is logged at startup and every
+// send fails instead.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./storage');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'RAI Online Tool <no-reply@localhost>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(DATA_DIR, 'mail');
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// Query parameters in links that hand out access
+const SECRET_PARAMS = /([?&](?:token|code)=)[^&\s]+/gi;
+
+function maskLinks(text) {
+  return text.replace(SECRET_PARAMS, '$1[masked]');
+}
+
+// In development the links are printed as they are, so they can be followed from the log
+function consoleTransport({ mask = IS_PRODUCTION } = {}) {
+  return {
+    async send(message) {
+      const text = mask ? maskLinks(message.text) : message.text;
+      console.log(`--- mail to ${message.to}: ${message.subject}\n${text}\n---`);
+    }
+  };
+}
+
+function disabledTransport() {
+  return {
+    async send() {
+      throw new Error('Mail is disabled: set MAIL_TRANSPORT');
+    }
+  };
+}
+
+function fileTransport(dir = MAIL_DIR) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = `${message.sentAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.json`;
+      await fs.writeFile(path.join(dir, file), JSON.stringify(message, null, 2));
+    }
+  };
+}
+
+function loadTransport(name) {
+  if (name === 'console') return consoleTransport();
+  if (name === 'file') return fileTransport();
+  if (name.includes('/') || name.endsWith('.js')) {
+    const exported = require(path.resolve(name));
+    const transport = typeof exported === 'function' ? exported() : exported;
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`Mail transport ${name} does not provide send(message)`);
+    }
+    return transport;
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+}
+
+function defaultTransport() {
+  if (!IS_PRODUCTION) return consoleTransport();
+  console.error('MAIL_TRANSPORT is not set: mail is disabled (the console transport does not deliver mail in production)');
+  return disabledTransport();
+}
+
+// `transport` is a transport name (see above) or a transport object
+function createMailer(transport = process.env.MAIL_TRANSPORT) {
+  let target = transport;
+  if (!transport) target = defaultTransport();
+  else if (typeof transport === 'string') target = loadTransport(transport);
+  return {
+    async send({ to, subject, text }) {
+      await target.send({ from: MAIL_FROM, to, subject, text, sentAt: new Date().toISOString() });
+    }
+  };
+}
+
+module.exports = {
+  MAIL_DIR,
+  consoleTransport,
+  fileTransport,
+  maskLinks,
+  createMailer
+};
@@ -0,0 +1,135 @@
+// Versioned data migrations
+// Migrations live in migrations/ as "<number>-<name>.js"; the number is the schema version the
+// migration brings the data to. Each exports { description, up(store, { log }), down } where
+// down is a function, or null for a migration that can only be reverted from its backup.
+// Applied migrations are recorded in the schemaMigrations collection; the schema version is
+// the highest one applied.
+//
+// Every run that changes something first writes a backup of all collections to
+// data/backups/<timestamp>-<label>/, one JSON file per collection named as in data/. To roll
+// back by hand, copy those files into data/ (or import them with import-json-to-sqlite.js
+// and DATA_DIR pointing at the backup).
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR, COLLECTION_FILES } = require('./storage');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(DATA_DIR, 'backups');
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+// All migrations, oldest first
+async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter(file => MIGRATION_FILE.test(file));
+  const migrations = files.map(file => {
+    const [, number, name] = file.match(MIGRATION_FILE);
+    const migration = require(path.join(dir, file));
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${file} does not export an up() function`);
+    }
+    return { version: Number(number), name, file, description: migration.description || name, up: migration.up, down: migration.down || null };
+  }).sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Two migrations have version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+async function appliedMigrations(store) {
+  return (await store.collection('schemaMigrations').all()).sort((a, b) => a.version - b.version);
+}
+
+async function schemaVersion(store) {
+  const applied = await appliedMigrations(store);
+  return applied.length ? applied[applied.length - 1].version : 0;
+}
+
+// Write every collection to a new backup directory and return its path
+async function backupStore(store, label) {
+  const dir = path.join(BACKUP_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${label}`);
+  await fs.mkdir(dir, { recursive: true });
+  for (const [name, file] of Object.entries(COLLECTION_FILES)) {
+    const records = await store.collection(name).all();
+    await fs.writeFile(path.join(dir, file), JSON.stringify(records, null, 2));
+  }
+  return dir;
+}
+
+// Every migration with whether (and when) it has been applied
+async function migrationStatus(store) {
+  const applied = new Map((await appliedMigrations(store)).map(entry => [entry.version, entry]));
+  return (await loadMigrations()).map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    reversible: Boolean(migration.down),
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).appliedAt : null,
+    backup: applied.has(migration.version) ? applied.get(migration.version).backup : null
+  }));
+}
+
+// Apply pending migrations up to `to` (default: all). Returns the versions applied.
+async function migrateUp(store, { to = Infinity, log = console.log } = {}) {
+  const applied = new Set((await appliedMigrations(store)).map(entry => entry.version));
+  const pending = (await loadMigrations()).filter(m => !applied.has(m.version) && m.version <= to);
+  if (!pending.length) return [];
+
+  const backup = await backupStore(store, `before-v${pending[0].version}`);
+  log(`Backed up data to ${backup}`);
+  for (const migration of pending) {
+    log(`Applying migration ${migration.version} (${migration.description})`);
+    await migration.up(store, { log: message => log(`  ${message}`) });
+    await store.collection('schemaMigrations').insert({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: new Date().toISOString(),
+      backup
+    });
+  }
+  return pending.map(migration => migration.version);
+}
+
+// Revert applied migrations above version `to` (default: only the latest), newest first.
+// Refuses before changing anything if one of them has no down migration.
+async function migrateDown(store, { to, log = console.log } = {}) {
+  const applied = await appliedMigrations(store);
+  if (!applied.length) return [];
+  const target = to === undefined ? applied[applied.length - 1].version - 1 : to;
+  const migrations = new Map((await loadMigrations()).map(m => [m.version, m]));
+  const toRevert = applied.filter(entry => entry.version > target).reverse();
+
+  for (const entry of toRevert) {
+    const migration = migrations.get(entry.version);
+    if (!migration) {
+      throw new Error(`Migration ${entry.version} (${entry.name}) is applied but its file is missing`);
+    }
+    if (!migration.down) {
+      throw new Error(`Migration ${entry.version} (${entry.name}) cannot be reverted; restore the backup taken before it ran: ${entry.backup}`);
+    }
+  }
+  if (!toRevert.length) return [];
+
+  const backup = await backupStore(store, `before-down-v${toRevert[0].version}`);
+  log(`Backed up data to ${backup}`);
+  for (const entry of toRevert) {
+    const migration = migrations.get(entry.version);
+    log(`Reverting migration ${migration.version} (${migration.description})`);
+    await migration.down(store, { log: message => log(`  ${message}`) });
+    await store.collection('schemaMigrations').remove(e => e.version === entry.version);
+  }
+  return toRevert.map(entry => entry.version);
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  BACKUP_DIR,
+  loadMigrations,
+  schemaVersion,
+  backupStore,
+  migrationStatus,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,206 @@
+// Role-based access control
+// Roles grant permissions; routes declare the permission they need in ROUTE_POLICIES.
+// Permissions ending in ":own" only apply to records that pass the matching ownership rule.
+
+const { EDITABLE_STATUSES } = require('./review');
+
+const ROLES = ['participant', 'facilitator', 'admin'];
+const DEFAULT_ROLE = 'participant';
+
+const PARTICIPANT_PERMISSIONS = [
+  'caseStudies:read:own',
+  'caseStudies:create',
+  'caseStudies:update:own',
+  'caseStudies:delete:own',
+  'focusGroup:submit',
+  'focusGroup:read:own',
+  'focusGroup:update:own',
+  'focusGroup:delete:own',
+  'profile:read:own',
+  'profile:update:own',
+  'comments:read:own',
+  'comments:create:own',
+  'comments:update:own',
+  'comments:delete:own',
+  'comments:resolve:own',
+  'sessions:join'
+];
+
+const FACILITATOR_PERMISSIONS = [
+  ...PARTICIPANT_PERMISSIONS,
+  'caseStudies:read',
+  'caseStudies:update',
+  'caseStudies:delete',
+  'caseStudies:review',
+  'focusGroup:read',
+  'focusGroup:edit',
+  'focusGroup:delete',
+  'users:read',
+  'users:unlock',
+  'profile:read',
+  'downloads:submissions',
+  'comments:read',
+  'comments:create',
+  'comments:delete',
+  'comments:resolve',
+  'sessions:create',
+  'sessions:manage:own',
+  'taxonomy:manage',
+  'analytics:read',
+  'deidentification:key',
+  'submissions:import',
+  'audit:read',
+  'accountDeletions:read'
+];
+
+const ADMIN_PERMISSIONS = [
+  ...FACILITATOR_PERMISSIONS,
+  'downloads:users',
+  'roles:manage',
+  'sessions:manage',
+  'consent:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  participant: PARTICIPANT_PERMISSIONS,
+  facilitator: FACILITATOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+
+// Per-route policy table: "<METHOD> <route path>" -> permission the caller needs.
+// A route listing several permissions is allowed if the caller has any of them;
+// the handler then decides with can() whether the record itself is in reach.
+const ROUTE_POLICIES = {
+  'GET /api/case-studies': ['caseStudies:read', 'caseStudies:read:own'],
+  'GET /api/case-studies/:id': ['caseStudies:read', 'caseStudies:read:own'],
+  'POST /api/case-studies': 'caseStudies:create',
+  'PUT /api/case-studies/:id': ['caseStudies:update', 'caseStudies:update:own'],
+  'DELETE /api/case-studies/:id': ['caseStudies:delete', 'caseStudies:delete:own'],
+  'POST /api/case-studies/:id/approve': 'caseStudies:review',
+  'POST /api/case-studies/:id/reject': 'caseStudies:review',
+  'POST /api/case-studies/:id/request-changes': 'caseStudies:review',
+  'GET /api/review-queue': 'caseStudies:review',
+  'POST /api/case-studies-focus-group': 'focusGroup:submit',
+  'GET /api/case-studies-focus-group': ['focusGroup:read', 'focusGroup:read:own'],
+  'GET /api/case-studies-focus-group/:id': ['focusGroup:read', 'focusGroup:read:own'],
+  'PUT /api/case-studies-focus-group/:id': ['focusGroup:edit', 'focusGroup:update:own'],
+  'DELETE /api/case-studies-focus-group/:id': ['focusGroup:delete', 'focusGroup:delete:own'],
+  'POST /api/save-edited-submission': 'focusGroup:edit',
+  'GET /api/case-studies-focus-group/:id/revisions': 'focusGroup:read',
+  'GET /api/case-studies-focus-group/:id/revisions/:revision': 'focusGroup:read',
+  'GET /api/case-studies-focus-group/:id/diff': 'focusGroup:read',
+  'POST /api/case-studies-focus-group/:id/restore': 'focusGroup:edit',
+  'GET /api/auth/profile/:email': ['profile:read', 'profile:read:own'],
+  'POST /api/auth/update-profile': 'profile:update:own',
+  'GET /api/user-value-history/:email': ['profile:read', 'profile:read:own'],
+  'GET /api/user-tension-history/:email': ['profile:read', 'profile:read:own'],
+  'GET /api/comments': ['comments:read', 'comments:read:own'],
+  'POST /api/comments': ['comments:create', 'comments:create:own'],
+  'PUT /api/comments/:id': 'comments:update:own',
+  'DELETE /api/comments/:id': ['comments:delete', 'comments:delete:own'],
+  'POST /api/comments/:id/resolve': ['comments:resolve', 'comments:resolve:own'],
+  'GET /api/group-submissions': ['focusGroup:read', 'sessions:join'],
+  'GET /api/group-submissions/events': ['focusGroup:read', 'sessions:join'],
+  'POST /api/focus-group-sessions': 'sessions:create',
+  'GET /api/focus-group-sessions/mine': ['sessions:manage', 'sessions:manage:own'],
+  'GET /api/focus-group-sessions/joined': 'sessions:join',
+  'POST /api/focus-group-sessions/join': 'sessions:join',
+  'GET /api/focus-group-sessions/:id': ['sessions:join', 'sessions:manage', 'sessions:manage:own'],
+  'PUT /api/focus-group-sessions/:id': ['sessions:manage', 'sessions:manage:own'],
+  'POST /api/focus-group-sessions/:id/open': ['sessions:manage', 'sessions:manage:own'],
+  'POST /api/focus-group-sessions/:id/close': ['sessions:manage', 'sessions:manage:own'],
+  'POST /api/focus-group-sessions/:id/join-code': ['sessions:manage', 'sessions:manage:own'],
+  'GET /api/taxonomy/usage': 'taxonomy:manage',
+  'POST /api/taxonomy': 'taxonomy:manage',
+  'PUT /api/taxonomy/:id': 'taxonomy:manage',
+  'DELETE /api/taxonomy/:id': 'taxonomy:manage',
+  'POST /api/taxonomy/:id/promote': 'taxonomy:manage',
+  'POST /api/taxonomy/:id/merge': 'taxonomy:manage',
+  'GET /api/analytics/frequencies': 'analytics:read',
+  'GET /api/analytics/co-occurrence': 'analytics:read',
+  'GET /api/analytics/tension-value-pairs': 'analytics:read',
+  'GET /api/analytics/participants': 'analytics:read',
+  'GET /api/analytics/agreement': 'analytics:read',
+  'GET /api/deidentification/key': 'deidentification:key',
+  'GET /api/deidentification/key-access': 'deidentification:key',
+  'POST /api/import/:dataset': 'submissions:import',
+  'GET /api/audit': 'audit:read',
+  'GET /api/audit/verify': 'audit:read',
+  'GET /api/account-deletions': 'accountDeletions:read',
+  'POST /api/consent/documents': 'consent:manage',
+  'GET /api/users': 'users:read',
+  'POST /api/users/:id/unlock': 'users:unlock',
+  'PUT /api/admin/users/:id/role': 'roles:manage',
+  'DELETE /api/admin/users/:id/role': 'roles:manage',
+  'GET /download/case-studies': 'downloads:submissions',
+  'GET /download/focus-group': 'downloads:submissions',
+  'GET /download/users': 'downloads:users'
+};
+
+// Case studies name their owner in `author`, focus-group submissions in `email`
+function ownsSubmission(user, submission) {
+  return submission.author === user.email || submission.email === user.email;
+}
+
+// Ownership rules for ":own" permissions, keyed by the base permission
+const OWNERSHIP_RULES = {
+  'caseStudies:read': (user, caseStudy) => caseStudy.author === user.email,
+  // An author may edit only their own case study while it is pending or has changes requested
+  'caseStudies:update': (user, caseStudy) =>
+    caseStudy.author === user.email && EDITABLE_STATUSES.includes(caseStudy.status),
+  // An author may delete only their own pending case study
+  'caseStudies:delete': (user, caseStudy) =>
+    caseStudy.author === user.email && caseStudy.status === 'pending',
+  // Participants may read, change and delete only their own focus-group submissions
+  'focusGroup:read': (user, submission) => submission.email === user.email,
+  'focusGroup:update': (user, submission) => submission.email === user.email,
+  'focusGroup:delete': (user, submission) => submission.email === user.email,
+  // Participants may read, write and resolve comments only on their own submissions
+  'comments:read': (user, target) => ownsSubmission(user, target),
+  'comments:create': (user, target) => ownsSubmission(user, target),
+  'comments:resolve': (user, target) => ownsSubmission(user, target),
+  // Everyone may edit or delete only the comments they wrote
+  'comments:update': (user, comment) => comment.author === user.email,
+  'comments:delete': (user, comment) => comment.author === user.email,
+  // Participants may look up only their own profile and value and tension history
+  'profile:read': (user, profile) => profile.email === user.email,
+  // Facilitators manage the focus group sessions they run
+  'sessions:manage': (user, session) => (session.facilitators || []).includes(user.email)
+};
+
+// Older accounts were created with role "user" (or no role at all)
+function normalizeRole(role) {
+  return ROLES.includes(role) ? role : DEFAULT_ROLE;
+}
+
+function hasPermission(user, permission) {
+  if (!user) return false;
+  return ROLE_PERMISSIONS[normalizeRole(user.role)].includes(permission);
+}
+
+// Whether a user may perform a permission on a specific record
+function can(user, permission, resource) {
+  if (hasPermission(user, permission)) return true;
+  const rule = OWNERSHIP_RULES[permission];
+  return Boolean(rule && resource && hasPermission(user, `${permission}:own`) && rule(user, resource));
+}
+
+function permissionsForRoute(routeKey) {
+  const policy = ROUTE_POLICIES[routeKey];
+  if (!policy) {
+    throw new Error(`No access policy declared for route: ${routeKey}`);
+  }
+  return Array.isArray(policy) ? policy : [policy];
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  ROUTE_POLICIES,
+  OWNERSHIP_RULES,
+  normalizeRole,
+  hasPermission,
+  can,
+  permissionsForRoute
+};
@@ -0,0 +1,231 @@
+// Listing queries: search, filters, sorting and cursor pagination for case studies,
+// focus-group submissions and users (GET /api/case-studies, GET /api/case-studies-focus-group,
+// GET /api/users)
+//   q=             words that must all appear in the record's searchable text (title, case
+//                  titles and descriptions, values and tensions, ...); case and accents are ignored
+//   status=, group=, value=, tension=, role=, ...  filters, see QUERY_DATASETS (comma-separated
+//                  values match any of them; value and tension also match taxonomy synonyms)
+//   from=, to=     date range on the dataset's date field
+//   sort=          a sort field, "-" in front for descending
+//   limit=         page size; without it (and without a cursor) every match is returned
+//   cursor=        the nextCursor of the previous page
+// Cursors point just past the last record of a page (its sort value and id), so pages stay
+// consistent while records are added or removed.
+
+const { buildLabelIndex, resolveLabel, normalizeLabel, caseItems, recordItems } = require('./taxonomy');
+
+const MAX_LIMIT = 500;
+
+function recordCases(record) {
+  return (Array.isArray(record.cases) ? record.cases : []).filter(Boolean);
+}
+
+// Value or tension items on the record itself and on its cases
+function termItems(record, kind) {
+  return [...caseItems(record, kind), ...recordItems(record, kind)];
+}
+
+function submissionText(record) {
+  return [
+    record.title,
+    record.description,
+    record.conceptCard,
+    ...recordCases(record).flatMap(c => [c.title, c.description]),
+    ...['value', 'tension'].flatMap(kind => termItems(record, kind).flatMap(item => [item.value, item.definition]))
+  ];
+}
+
+function inGroup(record, group) {
+  return record.group === group || recordCases(record).some(c => c.group === group);
+}
+
+// Filters are (record, wanted values, context) => boolean; `context.labels` holds the taxonomy
+// label indexes for value and tension matching
+const termFilter = kind => (record, wanted, { labels }) => {
+  const targets = wanted.map(label => resolveLabel(labels[kind], label) || normalizeLabel(label));
+  return termItems(record, kind).some(item => {
+    const resolved = resolveLabel(labels[kind], item.value) || normalizeLabel(item.value);
+    return targets.includes(resolved);
+  });
+};
+
+const QUERY_DATASETS = {
+  caseStudies: {
+    text: submissionText,
+    dateField: 'submittedAt',
+    filters: {
+      status: (record, wanted) => wanted.includes(record.status || 'pending'),
+      group: (record, wanted) => wanted.some(group => inGroup(record, group)),
+      author: (record, wanted) => wanted.includes(record.author),
+      value: termFilter('value'),
+      tension: termFilter('tension')
+    },
+    sortFields: {
+      submittedAt: record => record.submittedAt || null,
+      updatedAt: record => record.updatedAt || record.submittedAt || null,
+      title: record => (record.title || '').toLowerCase() || null,
+      status: record => record.status || 'pending',
+      author: record => record.author || null
+    },
+    defaultSort: '-submittedAt'
+  },
+  focusGroup: {
+    text: record => [...submissionText(record), record.username, record.email],
+    dateField: 'submittedAt',
+    filters: {
+      sessionId: (record, wanted) => wanted.includes(record.sessionId),
+      group: (record, wanted) => wanted.some(group => inGroup(record, group)),
+      conceptCard: (record, wanted) => wanted.includes(record.conceptCard),
+      participant: (record, wanted) => wanted.includes(record.email) || wanted.includes(record.username),
+      edited: (record, wanted) => wanted.includes(String(Boolean(record.isEditedVersion))),
+      value: termFilter('value'),
+      tension: termFilter('tension')
+    },
+    sortFields: {
+      submittedAt: record => record.submittedAt || null,
+      conceptCard: record => (record.conceptCard || '').toLowerCase() || null,
+      participant: record => (record.username || record.email || '').toLowerCase() || null,
+      revision: record => record.revision || 0
+    },
+    defaultSort: '-submittedAt'
+  },
+  users: {
+    text: user => [user.username, user.email, user.school, user.city, user.country],
+    dateField: 'createdAt',
+    filters: {
+      role: (user, wanted) => wanted.includes(user.role),
+      country: (user, wanted) => wanted.some(country => normalizeLabel(country) === normalizeLabel(user.country || '')),
+      school: (user, wanted) => wanted.some(school => normalizeLabel(school) === normalizeLabel(user.school || '')),
+      emailVerified: (user, wanted) => wanted.includes(String(Boolean(user.emailVerified))),
+      consent: (user, wanted) => wanted.includes(user.consentStatus)
+    },
+    sortFields: {
+      createdAt: user => user.createdAt || null,
+      username: user => (user.username || '').toLowerCase() || null,
+      email: user => (user.email || '').toLowerCase() || null,
+      role: user => user.role || null
+    },
+    defaultSort: 'username'
+  }
+};
+
+// Lowercase without accents, for search
+function foldText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    const isScalar = value => value === null || ['string', 'number'].includes(typeof value);
+    return decoded && typeof decoded.s === 'string' && isScalar(decoded.v) && isScalar(decoded.id) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Query-string options for a dataset, or { error }
+function parseListQuery(query, datasetName) {
+  const dataset = QUERY_DATASETS[datasetName];
+  // A parameter given twice (?sort=a&sort=b) or with brackets arrives as an array or object
+  const params = ['q', 'from', 'to', 'sort', 'limit', 'cursor', ...Object.keys(dataset.filters)];
+  const repeated = params.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: `${repeated} must be given once` };
+  }
+  const list = value => (value === undefined || value === '' ? null : String(value).split(',').map(v => v.trim()).filter(Boolean));
+  const options = {
+    q: query.q ? String(query.q).trim() : null,
+    filters: {},
+    from: query.from ? new Date(query.from) : null,
+    to: query.to ? new Date(query.to) : null,
+    sort: query.sort || dataset.defaultSort,
+    limit: query.limit !== undefined ? Number(query.limit) : null,
+    cursor: null
+  };
+  Object.keys(dataset.filters).forEach(name => {
+    const wanted = list(query[name]);
+    if (wanted) options.filters[name] = wanted;
+  });
+  if ((options.from && isNaN(options.from)) || (options.to && isNaN(options.to))) {
+    return { error: 'from and to must be dates' };
+  }
+  if (!Object.hasOwn(dataset.sortFields, options.sort.replace(/^-/, ''))) {
+    return { error: `sort must be one of: ${Object.keys(dataset.sortFields).join(', ')} (with "-" in front for descending)` };
+  }
+  if (options.limit !== null && (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT)) {
+    return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+  if (query.cursor) {
+    options.cursor = decodeCursor(String(query.cursor));
+    if (!options.cursor || options.cursor.s !== options.sort) {
+      return { error: 'cursor is invalid or belongs to a different sort order' };
+    }
+    if (options.limit === null) options.limit = MAX_LIMIT;
+  }
+  return { options };
+}
+
+// Missing values sort last in either direction; ids break ties
+function comparator(dataset, sort) {
+  const descending = sort.startsWith('-');
+  const key = dataset.sortFields[sort.replace(/^-/, '')];
+  const compare = (aValue, aId, bValue, bId) => {
+    if (aValue !== bValue) {
+      if (aValue === null) return 1;
+      if (bValue === null) return -1;
+      const order = aValue < bValue ? -1 : 1;
+      return descending ? -order : order;
+    }
+    if (String(aId) === String(bId)) return 0;
+    return String(aId) < String(bId) ? -1 : 1;
+  };
+  return {
+    key,
+    records: (a, b) => compare(key(a), a.id, key(b), b.id),
+    afterCursor: (record, cursor) => compare(key(record), record.id, cursor.v, cursor.id) > 0
+  };
+}
+
+// Run a query over records. `context.taxonomy` is the taxonomy entries (for value and tension
+// filters). Returns { data, total, nextCursor }.
+function runQuery(records, datasetName, options, context = {}) {
+  const dataset = QUERY_DATASETS[datasetName];
+  const entries = context.taxonomy || [];
+  const filterContext = { labels: { value: buildLabelIndex(entries, 'value'), tension: buildLabelIndex(entries, 'tension') } };
+  const terms = options.q ? foldText(options.q).split(/\s+/).filter(Boolean) : [];
+
+  const matching = records.filter(record => {
+    const failed = Object.entries(options.filters).some(([name, wanted]) => !dataset.filters[name](record, wanted, filterContext));
+    if (failed) return false;
+    const date = record[dataset.dateField] ? new Date(record[dataset.dateField]) : null;
+    if (options.from && (!date || date < options.from)) return false;
+    if (options.to && (!date || date > options.to)) return false;
+    if (terms.length) {
+      const text = foldText(dataset.text(record).filter(Boolean).join(' '));
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+    return true;
+  });
+
+  const order = comparator(dataset, options.sort);
+  const sorted = matching.sort(order.records);
+  const resumeAt = options.cursor ? sorted.findIndex(record => order.afterCursor(record, options.cursor)) : 0;
+  const start = resumeAt === -1 ? sorted.length : resumeAt;
+  const data = options.limit === null ? sorted.slice(start) : sorted.slice(start, start + options.limit);
+  const last = data[data.length - 1];
+  const nextCursor = last && start + data.length < sorted.length
+    ? encodeCursor(options.sort, order.key(last), last.id)
+    : null;
+  return { data, total: matching.length, nextCursor };
+}
+
+module.exports = {
+  QUERY_DATASETS,
+  parseListQuery,
+  runQuery
+};
@@ -0,0 +1,19 @@
+// Redaction of credentials before anything is logged
+
+const SENSITIVE_FIELDS = ['password', 'currentPassword', 'newPassword', 'passwordHash', 'token', 'accessToken', 'refreshToken', 'authorization', 'joinCode'];
+const REDACTED = '[redacted]';
+
+// Copy of `value` with every sensitive field (at any depth) replaced by a placeholder
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    SENSITIVE_FIELDS.includes(key) || SENSITIVE_FIELDS.includes(key.toLowerCase()) ? REDACTED : redact(field)
+  ]));
+}
+
+module.exports = {
+  SENSITIVE_FIELDS,
+  redact
+};
@@ -0,0 +1,56 @@
+// Review workflow for individual case studies
+// A case study starts as "pending". Facilitators approve, reject or request changes;
+// a case study with changes requested is editable again and goes back to "pending"
+// when its author saves it.
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'changes-requested'];
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  pending: ['approved', 'rejected', 'changes-requested'],
+  'changes-requested': ['pending'],
+  approved: [],
+  rejected: []
+};
+
+// Statuses in which the author may still edit the case study
+const EDITABLE_STATUSES = ['pending', 'changes-requested'];
+
+// Reviewer decisions (as used in the route names) -> resulting status
+const REVIEW_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  'request-changes': 'changes-requested'
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from || 'pending'] || []).includes(to);
+}
+
+// Returns the case study moved to a new status, with the transition recorded in reviewHistory
+function applyTransition(caseStudy, to, { actor, reason }) {
+  const from = caseStudy.status || 'pending';
+  if (!canTransition(from, to)) {
+    throw new Error(`Cannot move a case study from ${from} to ${to}`);
+  }
+  const at = new Date().toISOString();
+  const entry = { from, to, actor, at, reason: reason || null };
+  return {
+    ...caseStudy,
+    status: to,
+    reviewed: to === 'approved' || to === 'rejected',
+    reviewedBy: to === 'pending' ? caseStudy.reviewedBy || null : actor,
+    reviewedAt: to === 'pending' ? caseStudy.reviewedAt || null : at,
+    reviewNote: to === 'pending' ? caseStudy.reviewNote || null : reason || null,
+    reviewHistory: [...(caseStudy.reviewHistory || []), entry]
+  };
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  TRANSITIONS,
+  EDITABLE_STATUSES,
+  REVIEW_DECISIONS,
+  canTransition,
+  applyTransition
+};
@@ -0,0 +1,200 @@
+// Revision history for focus-group submissions
+// The participant's submission is revision 0. Every facilitator edit is stored as a new,
+// never-modified record with its own id, isEditedVersion: true, the id of the original it
+// belongs to (originalSubmissionId) and an increasing revision number. The latest revision
+// is the current version.
+
+const crypto = require('crypto');
+
+// Fields that describe a revision rather than its content
+const REVISION_METADATA_FIELDS = [
+  'id',
+  'submittedAt',
+  'isEditedVersion',
+  'originalSubmissionId',
+  'revision',
+  'editedBy',
+  'editTimestamp',
+  'restoredFromRevision',
+  'facilitatorComment',
+  'facilitatorCommentTimestamp',
+  'facilitatorCommentBy',
+  'version'
+];
+
+// Case fields compared item by item rather than as plain values
+const CASE_LIST_FIELDS = ['values', 'tensions'];
+
+// The composite key submissions were identified by before they had ids
+function legacySubmissionKey(submission) {
+  return `${submission.username}|${submission.email}|${submission.submittedAt}`;
+}
+
+function submissionKey(submission) {
+  return submission.id || legacySubmissionKey(submission);
+}
+
+// Give a submission's cases ids, keeping the ones they already have
+function assignCaseIds(cases) {
+  return (Array.isArray(cases) ? cases : []).map(c => (c && c.id ? c : { ...c, id: crypto.randomUUID() }));
+}
+
+// Whether a key from a client names this submission (by id, or the legacy composite key)
+function matchesKey(submission, key) {
+  return submission.id === key || legacySubmissionKey(submission) === key;
+}
+
+// Edited versions saved before revisions were numbered count as revision 1
+function revisionNumber(submission) {
+  if (!submission.isEditedVersion) return 0;
+  return submission.revision || 1;
+}
+
+// Resolve any key (of the original or of one of its revisions) to the original's key
+function resolveOriginalKey(submissions, key) {
+  const match = submissions.find(s => matchesKey(s, key));
+  if (!match) return null;
+  return match.isEditedVersion && match.originalSubmissionId ? match.originalSubmissionId : submissionKey(match);
+}
+
+// All revisions of a submission, oldest first (revision 0 is the original)
+function revisionsOf(submissions, originalKey) {
+  const original = submissions.find(s => !s.isEditedVersion && submissionKey(s) === originalKey);
+  const edits = submissions
+    .filter(s => s.isEditedVersion && s.originalSubmissionId === originalKey)
+    .sort((a, b) => revisionNumber(a) - revisionNumber(b));
+  return original ? [original, ...edits] : edits;
+}
+
+function latestRevision(submissions, originalKey) {
+  const revisions = revisionsOf(submissions, originalKey);
+  return revisions.length ? revisions[revisions.length - 1] : null;
+}
+
+// The current (latest) revision of every submission
+function currentRevisions(submissions) {
+  const latest = new Map();
+  submissions.forEach(s => {
+    const key = s.isEditedVersion && s.originalSubmissionId ? s.originalSubmissionId : submissionKey(s);
+    if (!latest.has(key) || revisionNumber(s) > revisionNumber(latest.get(key))) {
+      latest.set(key, s);
+    }
+  });
+  return [...latest.values()];
+}
+
+// The submission's content without any revision metadata
+function revisionContent(submission) {
+  const content = { ...submission };
+  REVISION_METADATA_FIELDS.forEach(field => delete content[field]);
+  return content;
+}
+
+// Summary of a revision for listings
+function revisionSummary(submission) {
+  return {
+    id: submission.id || null,
+    revision: revisionNumber(submission),
+    submittedAt: submission.submittedAt,
+    editedBy: submission.editedBy || null,
+    editTimestamp: submission.editTimestamp || null,
+    restoredFromRevision: submission.restoredFromRevision ?? null
+  };
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Compare the value/tension items of one case, keyed by their label
+function diffItems(before = [], after = []) {
+  const byLabel = items => new Map((items || []).filter(item => item && item.value).map(item => [item.value, item]));
+  const beforeItems = byLabel(before);
+  const afterItems = byLabel(after);
+  const added = [...afterItems.keys()].filter(label => !beforeItems.has(label));
+  const removed = [...beforeItems.keys()].filter(label => !afterItems.has(label));
+  const changed = [...afterItems.keys()]
+    .filter(label => beforeItems.has(label) && !isEqual(beforeItems.get(label), afterItems.get(label)))
+    .map(label => ({ value: label, before: beforeItems.get(label), after: afterItems.get(label) }));
+  return { added, removed, changed };
+}
+
+function diffCase(before = {}, after = {}) {
+  const fields = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  keys.forEach(key => {
+    if (CASE_LIST_FIELDS.includes(key)) return;
+    if (!isEqual(before[key], after[key])) {
+      fields.push({ field: key, before: before[key] ?? null, after: after[key] ?? null });
+    }
+  });
+  const diff = { fields };
+  CASE_LIST_FIELDS.forEach(listField => {
+    diff[listField] = diffItems(before[listField], after[listField]);
+  });
+  return diff;
+}
+
+function hasCaseChanges(diff) {
+  return diff.fields.length > 0 ||
+    CASE_LIST_FIELDS.some(field => ['added', 'removed', 'changed'].some(kind => diff[field][kind].length > 0));
+}
+
+// Field-level diff between two revisions: top-level fields, then each case (matched by id,
+// or by position for cases without one) with its own fields and the values/tensions
+// added, removed or changed
+function diffRevisions(from, to) {
+  const before = revisionContent(from);
+  const after = revisionContent(to);
+
+  const fields = [];
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+    if (key === 'cases') return;
+    if (!isEqual(before[key], after[key])) {
+      fields.push({ field: key, before: before[key] ?? null, after: after[key] ?? null });
+    }
+  });
+
+  const caseKey = (c, index) => (c && c.id ? c.id : `#${index}`);
+  const beforeCases = new Map((before.cases || []).map((c, index) => [caseKey(c, index), { index, c }]));
+  const afterCases = new Map((after.cases || []).map((c, index) => [caseKey(c, index), { index, c }]));
+  const cases = [];
+  afterCases.forEach(({ index, c }, key) => {
+    const previous = beforeCases.get(key);
+    if (!previous) {
+      cases.push({ id: c.id || null, index, change: 'added', case: c });
+      return;
+    }
+    const diff = diffCase(previous.c, c);
+    if (hasCaseChanges(diff)) {
+      cases.push({ id: c.id || null, index, change: 'modified', ...diff });
+    }
+  });
+  beforeCases.forEach(({ index, c }, key) => {
+    if (!afterCases.has(key)) {
+      cases.push({ id: c.id || null, index, change: 'removed', case: c });
+    }
+  });
+
+  return {
+    from: revisionNumber(from),
+    to: revisionNumber(to),
+    fields,
+    cases
+  };
+}
+
+module.exports = {
+  legacySubmissionKey,
+  submissionKey,
+  assignCaseIds,
+  matchesKey,
+  revisionNumber,
+  resolveOriginalKey,
+  revisionsOf,
+  latestRevision,
+  currentRevisions,
+  revisionContent,
+  revisionSummary,
+  diffRevisions
+};
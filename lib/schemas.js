@@ -0,0 +1,295 @@
+// Request body schemas (see lib/validation.js for the format)
+// Server-owned fields - ids, authors, timestamps, review state, revision metadata - are
+// deliberately not declared, so they are stripped from anything a client sends.
+// Case studies are strict: any other undeclared field is rejected, so a misspelt one is
+// not lost silently.
+
+const { partial } = require('./validation');
+const { REVIEW_STATUSES } = require('./review');
+const { DELETION_POLICIES } = require('./data-rights');
+const { COMMENT_TARGET_TYPES, MAX_COMMENT_LENGTH } = require('./comments');
+
+const SHORT_TEXT = 300;
+const LONG_TEXT = 20000;
+
+// A value or tension chosen for a case
+const taxonomyItem = {
+  type: 'object',
+  fields: {
+    id: { type: 'string', maxLength: 100 },
+    value: { type: 'string', required: true, minLength: 1, maxLength: SHORT_TEXT },
+    definition: { type: 'string', maxLength: LONG_TEXT, nullable: true },
+    category: { type: 'string', maxLength: SHORT_TEXT, nullable: true }
+  }
+};
+
+// One case; free-text case content varies by card, so extra plain fields are kept
+const caseItem = {
+  type: 'object',
+  additional: true,
+  fields: {
+    id: { type: 'string', maxLength: 100 },
+    group: { type: 'string', maxLength: SHORT_TEXT },
+    title: { type: 'string', maxLength: SHORT_TEXT },
+    description: { type: 'string', maxLength: LONG_TEXT },
+    values: { type: 'array', items: taxonomyItem, maxItems: 100 },
+    tensions: { type: 'array', items: taxonomyItem, maxItems: 100 }
+  }
+};
+
+const caseStudy = {
+  type: 'object',
+  strict: true,
+  serverFields: [
+    'id', 'author', 'submittedAt', 'updatedAt', 'status', 'reviewed', 'reviewedBy', 'reviewedAt',
+    'reviewNote', 'reviewHistory', 'version'
+  ],
+  fields: {
+    title: { type: 'string', required: true, minLength: 1, maxLength: SHORT_TEXT },
+    description: { type: 'string', maxLength: LONG_TEXT },
+    content: { type: 'string', maxLength: LONG_TEXT },
+    group: { type: 'string', maxLength: SHORT_TEXT },
+    conceptCard: { type: 'string', maxLength: SHORT_TEXT },
+    values: { type: 'array', items: taxonomyItem, maxItems: 100 },
+    tensions: { type: 'array', items: taxonomyItem, maxItems: 100 },
+    cases: { type: 'array', items: caseItem, maxItems: 50 },
+    tags: { type: 'array', items: { type: 'string', maxLength: 100 }, maxItems: 50 }
+  }
+};
+
+const focusGroupSubmission = {
+  type: 'object',
+  fields: {
+    sessionId: { type: 'string', required: true, minLength: 1 },
+    conceptCard: { type: 'string', required: true, minLength: 1, maxLength: SHORT_TEXT },
+    cases: { type: 'array', required: true, items: caseItem, minItems: 1, maxItems: 50 },
+    values: { type: 'array', items: taxonomyItem, maxItems: 100 },
+    tensions: { type: 'array', items: taxonomyItem, maxItems: 100 }
+  }
+};
+
+// Edits to an existing focus-group submission (it stays in its session)
+const focusGroupEdit = (() => {
+  const { sessionId, ...fields } = partial(focusGroupSubmission).fields;
+  return { type: 'object', fields };
+})();
+
+const savedEdit = {
+  type: 'object',
+  fields: {
+    originalSubmissionId: { type: 'string', required: true, minLength: 1 },
+    editedData: { ...focusGroupEdit, required: true },
+    facilitatorComment: { type: 'string', maxLength: 5000, nullable: true }
+  }
+};
+
+// Imported records (lib/bulk-import.js) come from older tool versions or paper sessions, so
+// they carry the fields the server would otherwise set: who submitted them and when
+const importedFields = {
+  id: { type: 'string', minLength: 1, maxLength: 100 },
+  submittedAt: { type: 'string', format: 'date' }
+};
+
+const caseStudyImport = {
+  type: 'object',
+  fields: {
+    ...caseStudy.fields,
+    ...importedFields,
+    author: { type: 'string', required: true, format: 'email', maxLength: 254 },
+    status: { type: 'string', enum: REVIEW_STATUSES }
+  }
+};
+
+const focusGroupImport = {
+  type: 'object',
+  fields: {
+    ...focusGroupSubmission.fields,
+    ...importedFields,
+    sessionId: { type: 'string', minLength: 1 },
+    username: { type: 'string', minLength: 1, maxLength: 50 },
+    email: { type: 'string', required: true, format: 'email', maxLength: 254 }
+  }
+};
+
+// Rules for any new password
+const newPassword = { type: 'string', required: true, minLength: 8, maxLength: 200 };
+
+const register = {
+  type: 'object',
+  fields: {
+    username: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+    email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+    password: newPassword
+  }
+};
+
+const login = {
+  type: 'object',
+  fields: {
+    usernameOrEmail: { type: 'string', required: true, minLength: 1, maxLength: 254 },
+    password: { type: 'string', required: true, minLength: 1, maxLength: 200 }
+  }
+};
+
+const refresh = {
+  type: 'object',
+  fields: {
+    refreshToken: { type: 'string', required: true, minLength: 1 }
+  }
+};
+
+// Token from an emailed verification link
+const linkToken = {
+  type: 'object',
+  fields: {
+    token: { type: 'string', required: true, minLength: 1, maxLength: 200 }
+  }
+};
+
+const forgotPassword = {
+  type: 'object',
+  fields: {
+    email: { type: 'string', required: true, format: 'email', maxLength: 254 }
+  }
+};
+
+const resetPassword = {
+  type: 'object',
+  fields: {
+    ...linkToken.fields,
+    password: newPassword
+  }
+};
+
+const changePassword = {
+  type: 'object',
+  fields: {
+    currentPassword: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    newPassword
+  }
+};
+
+// Deleting one's own account; the policy defaults to the server's (lib/data-rights.js)
+const accountDeletion = {
+  type: 'object',
+  fields: {
+    password: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    policy: { type: 'string', enum: DELETION_POLICIES }
+  }
+};
+
+const updateProfile = {
+  type: 'object',
+  fields: {
+    username: { type: 'string', minLength: 1, maxLength: 50 },
+    school: { type: 'string', maxLength: SHORT_TEXT, nullable: true },
+    country: { type: 'string', maxLength: 100, nullable: true },
+    city: { type: 'string', maxLength: 100, nullable: true },
+    avatar: { type: 'string', maxLength: 100, nullable: true }
+  }
+};
+
+// A new version of the research consent document (lib/consent.js)
+const consentDocument = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true, minLength: 1, maxLength: SHORT_TEXT },
+    text: { type: 'string', required: true, minLength: 1, maxLength: LONG_TEXT },
+    requiresReconsent: { type: 'boolean' }
+  }
+};
+
+const consentAcceptance = {
+  type: 'object',
+  fields: {
+    documentId: { type: 'string', required: true, minLength: 1 }
+  }
+};
+
+// Focus-group session; the creator is always one of its facilitators
+const email = { type: 'string', format: 'email', maxLength: 254 };
+
+const session = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: SHORT_TEXT },
+    scheduledAt: { type: 'string', format: 'date', nullable: true },
+    conceptCards: { type: 'array', items: { type: 'string', minLength: 1, maxLength: SHORT_TEXT }, maxItems: 100 },
+    facilitators: { type: 'array', items: email, maxItems: 100 },
+    participants: { type: 'array', items: email, maxItems: 1000 }
+  }
+};
+
+// A comment on a submission or one of its cases, or a reply (parentId)
+const comment = {
+  type: 'object',
+  fields: {
+    targetType: { type: 'string', required: true, enum: COMMENT_TARGET_TYPES },
+    targetId: { type: 'string', required: true, minLength: 1 },
+    caseId: { type: 'string', maxLength: 100, nullable: true },
+    caseIndex: { type: 'number', nullable: true },
+    parentId: { type: 'string', minLength: 1, nullable: true },
+    body: { type: 'string', required: true, minLength: 1, maxLength: MAX_COMMENT_LENGTH }
+  }
+};
+
+// Only a comment's text can be edited
+const commentUpdate = {
+  type: 'object',
+  fields: {
+    body: comment.fields.body
+  }
+};
+
+const taxonomyEntry = {
+  type: 'object',
+  fields: {
+    kind: { type: 'string', required: true, enum: ['value', 'tension'] },
+    label: { type: 'string', required: true, minLength: 1, maxLength: SHORT_TEXT },
+    definition: { type: 'string', maxLength: LONG_TEXT },
+    category: { type: 'string', maxLength: SHORT_TEXT, nullable: true },
+    synonyms: { type: 'array', items: { type: 'string', minLength: 1, maxLength: SHORT_TEXT }, maxItems: 50 },
+    predefined: { type: 'boolean' }
+  }
+};
+
+// An entry's kind cannot change
+const taxonomyEntryUpdate = (() => {
+  const { kind, ...fields } = partial(taxonomyEntry).fields;
+  return { type: 'object', fields };
+})();
+
+const taxonomyMerge = {
+  type: 'object',
+  fields: {
+    into: { type: 'string', required: true, minLength: 1 }
+  }
+};
+
+module.exports = {
+  caseStudyCreate: caseStudy,
+  caseStudyUpdate: partial(caseStudy),
+  focusGroupSubmission,
+  focusGroupEdit,
+  savedEdit,
+  caseStudyImport,
+  focusGroupImport,
+  register,
+  login,
+  refresh,
+  linkToken,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  accountDeletion,
+  updateProfile,
+  consentDocument,
+  consentAcceptance,
+  session,
+  sessionUpdate: partial(session),
+  comment,
+  commentUpdate,
+  taxonomyEntry,
+  taxonomyEntryUpdate,
+  taxonomyMerge
+};
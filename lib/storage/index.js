@@ -0,0 +1,58 @@
+// Storage layer - every route reads and writes collections through a repository from here.
+// The backend is chosen with STORAGE_BACKEND: "json" (default, the files in data/) or "sqlite".
+//
+// Repository interface (all methods return promises):
+//   all()                       every record, in insertion order
+//   get(id)                     the record with this id or null
+//   find(predicate)             first matching record or null
+//   filter(predicate)           all matching records
+//   insert(record)              append a record
+//   update(predicate, updater)  replace the first match with updater(record)
+//   remove(predicate)           delete all matches, resolves to the count removed
+//   mutate(fn)                  synchronous read-modify-write over the whole collection
+
+const path = require('path');
+const { createJsonStore } = require('./json-store');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'rai.sqlite');
+
+// Collection name -> file name for the JSON backend
+const COLLECTION_FILES = {
+  caseStudies: 'case-studies.json',
+  focusGroupSubmissions: 'case-studies-focus-group.json',
+  users: 'users.json',
+  authSessions: 'auth-sessions.json',
+  comments: 'comments.json',
+  focusGroupSessions: 'focus-group-sessions.json',
+  taxonomy: 'taxonomy.json',
+  pseudonyms: 'pseudonyms.json',
+  pseudonymKeyAccess: 'pseudonym-key-access.json',
+  schemaMigrations: 'schema-migrations.json',
+  accountTokens: 'account-tokens.json',
+  throttles: 'throttles.json',
+  auditLog: 'audit-log.json',
+  auditHead: 'audit-head.json',
+  auditSubjects: 'audit-subjects.json',
+  accountDeletions: 'account-deletions.json',
+  consentDocuments: 'consent-documents.json'
+};
+
+function createStore(backend = process.env.STORAGE_BACKEND || 'json') {
+  if (backend === 'json') {
+    return createJsonStore({ dataDir: DATA_DIR, files: COLLECTION_FILES });
+  }
+  if (backend === 'sqlite') {
+    // Loaded lazily so the JSON backend works without the native module
+    const { createSqliteStore } = require('./sqlite-store');
+    return createSqliteStore({ file: SQLITE_FILE });
+  }
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+module.exports = {
+  DATA_DIR,
+  SQLITE_FILE,
+  COLLECTION_FILES,
+  createStore
+};
@@ -0,0 +1,218 @@
+// JSON-file storage backend - one pretty-printed array per collection, as the server has always stored its data
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Thrown when a collection file does not hold a JSON array, and on every load after that
+// while the file is missing and its quarantined copy is still there
+class CorruptDataError extends Error {
+  constructor(file, quarantinedTo, cause) {
+    super(`Corrupt data file ${file} was moved to ${quarantinedTo}`);
+    this.name = 'CorruptDataError';
+    this.file = file;
+    this.quarantinedTo = quarantinedTo;
+    this.cause = cause;
+  }
+}
+
+// A lock file older than this is left over from a crashed process
+const LOCK_STALE_MS = 10 * 1000;
+// While a lock is held its file is touched this often, so a slow write never looks stale
+const LOCK_REFRESH_MS = LOCK_STALE_MS / 4;
+
+// Hold <file>.lock while fn runs, so other processes (the CLI scripts) writing the same
+// collection wait their turn
+async function withFileLock(file, fn) {
+  const lockFile = `${file}.lock`;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await (await fs.open(lockFile, 'wx')).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const stat = await fs.stat(lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.unlink(lockFile).catch(() => {});
+        continue;
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(100, 5 * 2 ** attempt)));
+    }
+  }
+  const refresh = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockFile, now, now).catch(() => {});
+  }, LOCK_REFRESH_MS);
+  refresh.unref();
+  try {
+    return await fn();
+  } finally {
+    clearInterval(refresh);
+    await fs.unlink(lockFile).catch(() => {});
+  }
+}
+
+// Per-file async mutex: callbacks for the same file run one after another, in this process
+// and across processes
+const locks = new Map();
+
+function withLock(file, callback) {
+  const fn = () => withFileLock(file, callback);
+  const previous = locks.get(file) || Promise.resolve();
+  const run = previous.then(fn, fn);
+  const tail = run.catch(() => {});
+  locks.set(file, tail);
+  tail.then(() => {
+    if (locks.get(file) === tail) locks.delete(file);
+  });
+  return run;
+}
+
+function createJsonCollection(file) {
+  // The newest quarantined copy of the file, if any
+  async function quarantinedCopy() {
+    const prefix = `${path.basename(file)}.corrupt-`;
+    const names = (await fs.readdir(path.dirname(file)).catch(() => [])).filter(name => name.startsWith(prefix));
+    return names.length ? path.join(path.dirname(file), names.sort()[names.length - 1]) : null;
+  }
+
+  async function load() {
+    let data;
+    try {
+      data = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // Missing because it was quarantined: keep failing until someone restores the file or
+      // removes the copy, rather than carrying on with an empty collection
+      const quarantinedTo = await quarantinedCopy();
+      if (quarantinedTo) throw new CorruptDataError(file, quarantinedTo);
+      return [];
+    }
+    // A freshly created, empty file is just an empty collection
+    if (!data.trim()) return [];
+
+    try {
+      const records = JSON.parse(data);
+      if (!Array.isArray(records)) {
+        throw new Error('Expected a JSON array');
+      }
+      return records;
+    } catch (error) {
+      // Move the bad file aside so it is never overwritten, then fail loudly
+      const quarantinedTo = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      try {
+        await fs.rename(file, quarantinedTo);
+      } catch (renameError) {
+        // A concurrent read may have quarantined it already
+        if (renameError.code !== 'ENOENT') throw renameError;
+      }
+      console.error(`Corrupt data file quarantined: ${file} -> ${quarantinedTo}`, error.message);
+      throw new CorruptDataError(file, quarantinedTo, error);
+    }
+  }
+
+  // Write to a temp file and rename it into place, so a crash never leaves a half-written
+  // file; a failed write removes its temp file
+  async function save(records) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    let renamed = false;
+    try {
+      const handle = await fs.open(tempFile, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(records, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempFile, file);
+      renamed = true;
+    } finally {
+      if (!renamed) await fs.unlink(tempFile).catch(() => {});
+    }
+  }
+
+  // Read-modify-write cycles hold the file's lock from load to save
+  const locked = fn => withLock(file, fn);
+
+  return {
+    async all() {
+      return load();
+    },
+
+    async get(id) {
+      return (await load()).find(record => record.id != null && String(record.id) === String(id)) || null;
+    },
+
+    async find(predicate) {
+      return (await load()).find(predicate) || null;
+    },
+
+    async filter(predicate) {
+      return (await load()).filter(predicate);
+    },
+
+    async insert(record) {
+      return locked(async () => {
+        const records = await load();
+        records.push(record);
+        await save(records);
+        return record;
+      });
+    },
+
+    // Replace the first record matching predicate with updater(record); returns the new record or null
+    async update(predicate, updater) {
+      return locked(async () => {
+        const records = await load();
+        const index = records.findIndex(predicate);
+        if (index === -1) return null;
+        records[index] = updater(records[index]);
+        await save(records);
+        return records[index];
+      });
+    },
+
+    // Remove every record matching predicate; returns how many were removed
+    async remove(predicate) {
+      return locked(async () => {
+        const records = await load();
+        const kept = records.filter(record => !predicate(record));
+        if (kept.length !== records.length) {
+          await save(kept);
+        }
+        return records.length - kept.length;
+      });
+    },
+
+    // Run a synchronous read-modify-write over the whole collection. fn may change the
+    // array in place; whatever it returns is passed back to the caller.
+    async mutate(fn) {
+      return locked(async () => {
+        const records = await load();
+        const result = fn(records);
+        await save(records);
+        return result;
+      });
+    }
+  };
+}
+
+function createJsonStore({ dataDir, files }) {
+  const collections = {};
+  return {
+    backend: 'json',
+    collection(name) {
+      if (!files[name]) {
+        throw new Error(`Unknown collection: ${name}`);
+      }
+      if (!collections[name]) {
+        collections[name] = createJsonCollection(path.join(dataDir, files[name]));
+      }
+      return collections[name];
+    },
+    async close() {}
+  };
+}
+
+module.exports = { createJsonStore, CorruptDataError };
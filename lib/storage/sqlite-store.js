@@ -0,0 +1,152 @@
+// Embedded SQLite storage backend
+// Every collection lives in one `records` table as JSON documents, kept in insertion order
+// and indexed by record id.
+// better-sqlite3 is synchronous, so each operation below runs as a single transaction that
+// cannot interleave with another request. Read-modify-write transactions take the write lock
+// up front (BEGIN IMMEDIATE), so they serialize with other processes too.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+function createSqliteCollection(db, name) {
+  const selectAll = db.prepare('SELECT seq, data FROM records WHERE collection = ? ORDER BY seq');
+  const selectById = db.prepare('SELECT data FROM records WHERE collection = ? AND record_id = ? ORDER BY seq LIMIT 1');
+  const insertRow = db.prepare('INSERT INTO records (collection, record_id, data) VALUES (?, ?, ?)');
+  const updateRow = db.prepare('UPDATE records SET record_id = ?, data = ? WHERE seq = ?');
+  const deleteRow = db.prepare('DELETE FROM records WHERE seq = ?');
+
+  const recordId = record => (record && record.id != null ? String(record.id) : null);
+
+  // Rows are parsed one at a time, so a lookup stops parsing at its match
+  function* rows() {
+    for (const row of selectAll.iterate(name)) {
+      yield { seq: row.seq, data: row.data, record: JSON.parse(row.data) };
+    }
+  }
+
+  function findRow(predicate) {
+    for (const row of rows()) {
+      if (predicate(row.record)) return row;
+    }
+    return null;
+  }
+
+  const update = db.transaction((predicate, updater) => {
+    const match = findRow(predicate);
+    if (!match) return null;
+    const updated = updater(match.record);
+    updateRow.run(recordId(updated), JSON.stringify(updated), match.seq);
+    return updated;
+  });
+
+  const remove = db.transaction(predicate => {
+    const matches = [...rows()].filter(row => predicate(row.record));
+    matches.forEach(row => deleteRow.run(row.seq));
+    return matches.length;
+  });
+
+  // Only the records fn changed are written: a record still in the array (the same object,
+  // or a replacement with the same id) is updated in its row if its JSON changed, new ones
+  // are inserted and the rows of records no longer there are deleted
+  const mutate = db.transaction(fn => {
+    const original = [...rows()];
+    const records = original.map(row => row.record);
+    const result = fn(records);
+
+    const byObject = new Map(original.map(row => [row.record, row]));
+    const byId = new Map();
+    original.forEach(row => {
+      const id = recordId(row.record);
+      if (id !== null && !byId.has(id)) byId.set(id, row);
+    });
+    const kept = new Set();
+    records.forEach(record => {
+      let row = byObject.get(record);
+      if (!row || kept.has(row)) row = byId.get(recordId(record));
+      if (row && !kept.has(row)) {
+        kept.add(row);
+        const data = JSON.stringify(record);
+        if (data !== row.data) updateRow.run(recordId(record), data, row.seq);
+      } else {
+        insertRow.run(name, recordId(record), JSON.stringify(record));
+      }
+    });
+    original.filter(row => !kept.has(row)).forEach(row => deleteRow.run(row.seq));
+    return result;
+  });
+
+  return {
+    async all() {
+      return [...rows()].map(row => row.record);
+    },
+
+    async get(id) {
+      const row = selectById.get(name, String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async find(predicate) {
+      const match = findRow(predicate);
+      return match ? match.record : null;
+    },
+
+    async filter(predicate) {
+      const matches = [];
+      for (const row of rows()) {
+        if (predicate(row.record)) matches.push(row.record);
+      }
+      return matches;
+    },
+
+    async insert(record) {
+      insertRow.run(name, recordId(record), JSON.stringify(record));
+      return record;
+    },
+
+    async update(predicate, updater) {
+      return update.immediate(predicate, updater);
+    },
+
+    async remove(predicate) {
+      return remove.immediate(predicate);
+    },
+
+    async mutate(fn) {
+      return mutate.immediate(fn);
+    }
+  };
+}
+
+function createSqliteStore({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  // Other processes (the CLI scripts) may hold the write lock for a moment
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      collection TEXT NOT NULL,
+      record_id TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS records_collection_idx ON records (collection, record_id);
+  `);
+
+  const collections = {};
+  return {
+    backend: 'sqlite',
+    collection(name) {
+      if (!collections[name]) {
+        collections[name] = createSqliteCollection(db, name);
+      }
+      return collections[name];
+    },
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,181 @@
+// Values and tensions taxonomy
+// Each entry is one value or tension with its definition, category and synonyms. Predefined
+// entries are the curated list offered to everyone; user-contributed entries are recorded
+// the first time a participant uses a label nobody has used before. Merging an entry into
+// another keeps it (with mergedInto set) and adds its label to the target's synonyms, so
+// labels already stored in submissions still resolve to the canonical entry.
+
+const crypto = require('crypto');
+const { INITIAL_VERSION, versionOf } = require('./versioning');
+
+// Taxonomy kind -> the field on a case that holds its items
+const TAXONOMY_KINDS = {
+  value: 'values',
+  tension: 'tensions'
+};
+
+// Whether `kind` (e.g. from a query string) names a taxonomy kind
+function isTaxonomyKind(kind) {
+  return typeof kind === 'string' && Object.hasOwn(TAXONOMY_KINDS, kind);
+}
+
+// The tensions the frontend has always offered; seeded into an empty taxonomy
+const PREDEFINED_TENSIONS = [
+  'Privacy vs. Transparency',
+  'Accuracy vs. Fairness',
+  'Autonomy vs. Safety',
+  'Efficiency vs. Explainability',
+  'Innovation vs. Regulation',
+  'Individual vs. Collective Good',
+  'Accessibility vs. Complexity',
+  'Customization vs. Standardization'
+];
+
+// Labels are compared case- and whitespace-insensitively
+function normalizeLabel(label) {
+  return String(label || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function newTaxonomyEntry(kind, { label, definition = '', category = null, synonyms = [] }, { predefined = false, createdBy = null } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    kind,
+    label: label.trim(),
+    definition: definition || '',
+    category: category || null,
+    synonyms: synonyms.map(s => s.trim()).filter(Boolean),
+    predefined,
+    mergedInto: null,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+    version: INITIAL_VERSION
+  };
+}
+
+function seedEntries() {
+  return PREDEFINED_TENSIONS.map(label => newTaxonomyEntry('tension', { label }, { predefined: true }));
+}
+
+// Follow merges to the entry that now stands for this one
+function canonicalEntry(entries, entry) {
+  const seen = new Set();
+  let current = entry;
+  while (current && current.mergedInto && !seen.has(current.id)) {
+    seen.add(current.id);
+    current = entries.find(e => e.id === current.mergedInto) || current;
+  }
+  return current;
+}
+
+// Normalized label or synonym -> canonical entry, for one kind
+function buildLabelIndex(entries, kind) {
+  const index = new Map();
+  entries
+    .filter(entry => entry.kind === kind)
+    .forEach(entry => {
+      const canonical = canonicalEntry(entries, entry);
+      [entry.label, ...(entry.synonyms || [])].forEach(label => {
+        index.set(normalizeLabel(label), canonical);
+      });
+    });
+  return index;
+}
+
+function resolveLabel(index, label) {
+  return index.get(normalizeLabel(label)) || null;
+}
+
+function isPredefinedLabel(index, label) {
+  const entry = resolveLabel(index, label);
+  return Boolean(entry && entry.predefined);
+}
+
+// The value or tension items of one case
+function caseItems(caseItem, kind) {
+  const items = caseItem && caseItem[TAXONOMY_KINDS[kind]];
+  return Array.isArray(items) ? items.filter(item => item && item.value) : [];
+}
+
+// The value or tension items used across a record's cases
+function recordItems(record, kind) {
+  return (Array.isArray(record.cases) ? record.cases : []).flatMap(caseItem => caseItems(caseItem, kind));
+}
+
+// Add the labels in these records that nobody has used before to the taxonomy entries (in
+// place) as user-contributed entries, credited to the record's participant
+function addContributions(entries, records) {
+  Object.keys(TAXONOMY_KINDS).forEach(kind => {
+    const index = buildLabelIndex(entries, kind);
+    records.forEach(record => {
+      recordItems(record, kind).forEach(item => {
+        if (resolveLabel(index, item.value)) return;
+        const entry = newTaxonomyEntry(kind, {
+          label: item.value,
+          definition: item.definition,
+          category: item.category
+        }, { createdBy: record.email || record.author || null });
+        entries.push(entry);
+        index.set(normalizeLabel(entry.label), entry);
+      });
+    });
+  });
+}
+
+// How many records use each label, grouped by the canonical entry it resolves to.
+// Labels not in the taxonomy are listed with entryId null.
+function countUsage(records, entries, kind) {
+  const index = buildLabelIndex(entries, kind);
+  const usage = new Map();
+  records.forEach(record => {
+    const seenInRecord = new Set();
+    recordItems(record, kind).forEach(item => {
+      const entry = resolveLabel(index, item.value);
+      const key = entry ? entry.id : `label:${normalizeLabel(item.value)}`;
+      if (seenInRecord.has(key)) return;
+      seenInRecord.add(key);
+      if (!usage.has(key)) {
+        usage.set(key, {
+          entryId: entry ? entry.id : null,
+          label: entry ? entry.label : item.value.trim(),
+          predefined: Boolean(entry && entry.predefined),
+          count: 0
+        });
+      }
+      usage.get(key).count++;
+    });
+  });
+  return [...usage.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+function toPublicEntry(entry) {
+  return {
+    id: entry.id,
+    kind: entry.kind,
+    label: entry.label,
+    definition: entry.definition,
+    category: entry.category,
+    synonyms: entry.synonyms,
+    predefined: entry.predefined,
+    version: versionOf(entry)
+  };
+}
+
+module.exports = {
+  TAXONOMY_KINDS,
+  isTaxonomyKind,
+  PREDEFINED_TENSIONS,
+  normalizeLabel,
+  newTaxonomyEntry,
+  seedEntries,
+  canonicalEntry,
+  buildLabelIndex,
+  resolveLabel,
+  isPredefinedLabel,
+  caseItems,
+  recordItems,
+  addContributions,
+  countUsage,
+  toPublicEntry
+};
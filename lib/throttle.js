@@ -0,0 +1,108 @@
+// Attempt throttling for the auth endpoints
+// A throttle counts attempts per key (an account or a client IP) in the `throttles` collection.
+// The first `freeAttempts` in a window go through; each attempt after that blocks the key for
+// an exponentially growing delay (baseDelaySeconds, doubled each time, up to maxDelaySeconds).
+// With `lockoutAfter` set, that many attempts lock the key for lockoutSeconds instead.
+// The count starts over once the key has been quiet for windowSeconds, or on reset(key)
+// (a successful login, or a facilitator unlocking the account).
+
+// Per-IP limits are loose on purpose: a focus group in one classroom shares an address.
+const THROTTLE_POLICIES = {
+  // Failed logins per account - ends in a temporary lockout
+  loginAccount: { freeAttempts: 3, baseDelaySeconds: 1, maxDelaySeconds: 5 * 60, lockoutAfter: 10, lockoutSeconds: 30 * 60, windowSeconds: 60 * 60 },
+  // Failed logins per client IP, across accounts
+  loginIp: { freeAttempts: 30, baseDelaySeconds: 1, maxDelaySeconds: 15 * 60, windowSeconds: 60 * 60 },
+  // Registrations per client IP
+  register: { freeAttempts: 40, baseDelaySeconds: 10, maxDelaySeconds: 60 * 60, windowSeconds: 60 * 60 },
+  // Reset and verification emails per address or account
+  accountEmail: { freeAttempts: 3, baseDelaySeconds: 60, maxDelaySeconds: 60 * 60, windowSeconds: 60 * 60 },
+  // Reset emails per client IP
+  accountEmailIp: { freeAttempts: 20, baseDelaySeconds: 30, maxDelaySeconds: 60 * 60, windowSeconds: 60 * 60 },
+  // Invalid reset and verification tokens per client IP
+  linkToken: { freeAttempts: 10, baseDelaySeconds: 5, maxDelaySeconds: 15 * 60, windowSeconds: 60 * 60 }
+};
+
+function delaySeconds(policy, attempts) {
+  const over = attempts - policy.freeAttempts;
+  if (over <= 0) return 0;
+  return Math.min(policy.maxDelaySeconds, policy.baseDelaySeconds * 2 ** (over - 1));
+}
+
+// Records that no longer block anything and whose window has passed
+function isStale(record, now) {
+  const quietSince = new Date(record.lastAttemptAt).getTime() + record.windowSeconds * 1000;
+  return quietSince <= now && !(record.blockedUntil && new Date(record.blockedUntil).getTime() > now);
+}
+
+// `collection` is the throttles repository, `name` one of THROTTLE_POLICIES (or any name
+// with an explicit policy)
+function createThrottle(collection, name, policy = THROTTLE_POLICIES[name]) {
+  const idFor = key => `${name}:${String(key).toLowerCase()}`;
+
+  return {
+    // { allowed, retryAfter (seconds), locked } for the key, without counting an attempt
+    async check(key) {
+      const record = await collection.get(idFor(key));
+      const now = Date.now();
+      if (!record || !record.blockedUntil || new Date(record.blockedUntil).getTime() <= now) {
+        return { allowed: true, retryAfter: 0, locked: false };
+      }
+      return {
+        allowed: false,
+        retryAfter: Math.ceil((new Date(record.blockedUntil).getTime() - now) / 1000),
+        locked: Boolean(record.locked)
+      };
+    },
+
+    // Count an attempt; resolves to the key's state afterwards (as check() would return it)
+    async hit(key) {
+      const id = idFor(key);
+      const now = Date.now();
+      const record = await collection.mutate(records => {
+        // Drop keys that have gone quiet (this one included) so the count starts over and the
+        // collection does not grow without bound
+        const kept = records.filter(r => !isStale(r, now));
+        let current = kept.find(r => r.id === id);
+        if (!current) {
+          current = { id, throttle: name, key: String(key), attempts: 0, windowSeconds: policy.windowSeconds };
+          kept.push(current);
+        }
+        current.attempts++;
+        current.lastAttemptAt = new Date(now).toISOString();
+        current.locked = Boolean(policy.lockoutAfter && current.attempts >= policy.lockoutAfter);
+        const seconds = current.locked ? policy.lockoutSeconds : delaySeconds(policy, current.attempts);
+        current.blockedUntil = seconds ? new Date(now + seconds * 1000).toISOString() : null;
+        // A lockout keeps the count until it ends
+        current.windowSeconds = Math.max(policy.windowSeconds, seconds);
+        records.splice(0, records.length, ...kept);
+        return { ...current };
+      });
+      const retryAfter = record.blockedUntil ? Math.ceil((new Date(record.blockedUntil).getTime() - now) / 1000) : 0;
+      return { allowed: !retryAfter, retryAfter, locked: record.locked, attempts: record.attempts };
+    },
+
+    // Forget the key's attempts. Resolves to whether there were any.
+    async reset(key) {
+      return (await collection.remove(r => r.id === idFor(key))) > 0;
+    },
+
+    // The stored state of a key, or null
+    async status(key) {
+      return collection.get(idFor(key));
+    }
+  };
+}
+
+// "5 minutes", "30 seconds" - for Retry-After messages
+function describeWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  THROTTLE_POLICIES,
+  delaySeconds,
+  createThrottle,
+  describeWait
+};
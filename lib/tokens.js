@@ -0,0 +1,88 @@
+// Signed session tokens for the API
+// Access tokens are short-lived HMAC-signed (JWT-style) strings; refresh tokens are
+// opaque random strings that are stored hashed on the server so they can be revoked.
+// Email verification and password reset links carry single-use opaque tokens, also
+// stored only as a hash.
+
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS, 10) || 30 * 24 * 60 * 60;
+const EMAIL_VERIFICATION_TTL_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_TTL_SECONDS, 10) || 48 * 60 * 60;
+const PASSWORD_RESET_TTL_SECONDS = parseInt(process.env.PASSWORD_RESET_TTL_SECONDS, 10) || 60 * 60;
+
+let secret = process.env.SESSION_SECRET;
+if (!secret) {
+  // Tokens signed with a random secret stop working when the server restarts
+  console.warn('SESSION_SECRET is not set - using a random secret for this process');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Create an access token for a user and auth session
+function signAccessToken({ userId, sessionId }) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: userId,
+    sid: sessionId,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SECONDS
+  }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// Returns the token payload, or null if the token is malformed, tampered with or expired
+function verifyAccessToken(token) {
+  if (typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+// Token for an emailed verification or password reset link
+function generateLinkToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Refresh and link tokens are only ever stored as a hash
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  EMAIL_VERIFICATION_TTL_SECONDS,
+  PASSWORD_RESET_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  generateLinkToken,
+  hashToken
+};
@@ -0,0 +1,114 @@
+// Minimal declarative validation for request bodies
+// A schema describes one value:
+//   { type: 'string' | 'number' | 'boolean' | 'array' | 'object', required, nullable,
+//     minLength, maxLength, enum, format: 'email' | 'date',   (strings)
+//     items, minItems, maxItems,                     (arrays)
+//     fields, additional, strict, serverFields }     (objects)
+// Object fields that are not declared are stripped; with additional: true, undeclared
+// fields holding plain strings, numbers or booleans are kept. With strict: true they are
+// errors instead, apart from serverFields - fields the server sets, which a client may send
+// back from a record it loaded - that are still stripped. validate() returns the cleaned
+// value and a list of { field, message } errors.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isPrimitive(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function validateValue(schema, value, field, errors) {
+  if (value === null && schema.nullable) return null;
+
+  if (typeOf(value) !== schema.type) {
+    errors.push({ field, message: `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}` });
+    return undefined;
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors.push({ field, message: 'must be a valid email address' });
+    }
+    if (schema.format === 'date' && isNaN(new Date(value))) {
+      errors.push({ field, message: 'must be a date' });
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    return schema.items
+      ? value.map((item, index) => validateValue(schema.items, item, `${field}[${index}]`, errors))
+      : value;
+  }
+
+  if (schema.type === 'object') {
+    return validateObject(schema, value, field, errors);
+  }
+
+  return value;
+}
+
+function validateObject(schema, input, prefix, errors) {
+  const fields = schema.fields || {};
+  const output = {};
+  Object.entries(fields).forEach(([name, fieldSchema]) => {
+    const field = prefix ? `${prefix}.${name}` : name;
+    if (input[name] === undefined) {
+      if (fieldSchema.required) errors.push({ field, message: 'is required' });
+      return;
+    }
+    const value = validateValue(fieldSchema, input[name], field, errors);
+    if (value !== undefined) output[name] = value;
+  });
+  if (schema.additional) {
+    Object.keys(input)
+      .filter(name => !fields[name] && isPrimitive(input[name]))
+      .forEach(name => { output[name] = input[name]; });
+  } else if (schema.strict) {
+    const serverFields = schema.serverFields || [];
+    Object.keys(input)
+      .filter(name => !Object.hasOwn(fields, name) && !serverFields.includes(name))
+      .forEach(name => errors.push({ field: prefix ? `${prefix}.${name}` : name, message: 'is not a known field' }));
+  }
+  return output;
+}
+
+function validate(schema, input) {
+  const errors = [];
+  const value = validateValue(schema, input === undefined ? {} : input, '', errors);
+  return { value, errors: errors.map(error => ({ ...error, field: error.field || 'body' })) };
+}
+
+// Same schema with nothing required at the top level (for partial updates)
+function partial(schema) {
+  const fields = {};
+  Object.entries(schema.fields).forEach(([name, fieldSchema]) => {
+    fields[name] = { ...fieldSchema, required: false };
+  });
+  return { ...schema, fields };
+}
+
+module.exports = {
+  validate,
+  partial
+};
@@ -0,0 +1,45 @@
+// Optimistic concurrency control
+// Every record carries a `version` that goes up by one with each change, and responses about
+// a single record send it as the ETag header ("3"). Updates and deletes must send it back in
+// If-Match; when the record has changed since, the write is refused with 409 and the current
+// record, so the client can show what changed. Records saved before versions existed are at
+// version 1 (migration 004 writes that down).
+
+const INITIAL_VERSION = 1;
+
+function versionOf(record) {
+  return record && Number.isInteger(record.version) ? record.version : INITIAL_VERSION;
+}
+
+function etagFor(record) {
+  return `"${versionOf(record)}"`;
+}
+
+// The versions an If-Match header accepts: '*', a list of version numbers, null when the
+// header is missing, or undefined when it cannot be read. Weak tags never match (RFC 9110).
+function parseIfMatch(header) {
+  if (header === undefined || header === null || !String(header).trim()) return null;
+  if (String(header).trim() === '*') return '*';
+  const versions = [];
+  for (const tag of String(header).split(',').map(t => t.trim())) {
+    const match = tag.match(/^"(\d+)"$/);
+    if (match) {
+      versions.push(Number(match[1]));
+    } else if (!tag.startsWith('W/')) {
+      return undefined;
+    }
+  }
+  return versions;
+}
+
+function matchesVersion(record, ifMatch) {
+  return ifMatch === '*' || ifMatch.includes(versionOf(record));
+}
+
+module.exports = {
+  INITIAL_VERSION,
+  versionOf,
+  etagFor,
+  parseIfMatch,
+  matchesVersion
+};
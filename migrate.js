@@ -0,0 +1,42 @@
+// Data migrations from the command line (see lib/migrations.js). The server also applies
+// pending migrations when it starts.
+//   node migrate.js              apply all pending migrations
+//   node migrate.js up [N]       apply pending migrations up to version N
+//   node migrate.js down [N]     revert migrations down to version N (default: the latest one)
+//   node migrate.js status       list migrations and the current schema version
+
+const { createStore } = require('./lib/storage');
+const { schemaVersion, migrationStatus, migrateUp, migrateDown } = require('./lib/migrations');
+
+async function migrate() {
+  const [command = 'up', versionArg] = process.argv.slice(2);
+  const version = versionArg !== undefined ? Number(versionArg) : undefined;
+  if (!['up', 'down', 'status'].includes(command) || (versionArg !== undefined && !Number.isInteger(version))) {
+    console.error('Usage: node migrate.js [up [N] | down [N] | status]');
+    process.exit(1);
+  }
+
+  const store = createStore();
+  try {
+    if (command === 'status') {
+      (await migrationStatus(store)).forEach(m => {
+        const state = m.appliedAt ? `applied ${m.appliedAt}` : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')} ${m.name} - ${state}${m.reversible ? '' : ' (irreversible)'}`);
+      });
+    } else if (command === 'up') {
+      const applied = await migrateUp(store, { to: version });
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+    } else {
+      const reverted = await migrateDown(store, { to: version });
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+    }
+    console.log(`Schema version: ${await schemaVersion(store)}`);
+  } finally {
+    await store.close();
+  }
+}
+
+migrate().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+// Backfill the review status and group of case studies saved before they had them
+// (this was migrate-case-studies.js). Case studies without a status are pending and
+// without a group have an empty one, so the down migration removes exactly those
+// defaults again; the server reads a missing status as pending either way.
+
+module.exports = {
+  description: 'Backfill status and group on case studies',
+
+  async up(store, { log }) {
+    await store.collection('caseStudies').mutate(caseStudies => {
+      let changed = 0;
+      caseStudies.forEach((caseStudy, index) => {
+        if (caseStudy.status && caseStudy.group !== undefined) return;
+        caseStudies[index] = {
+          ...caseStudy,
+          status: caseStudy.status || 'pending',
+          group: caseStudy.group || ''
+        };
+        changed++;
+      });
+      log(`Case studies: ${changed} of ${caseStudies.length} backfilled`);
+    });
+  },
+
+  async down(store, { log }) {
+    await store.collection('caseStudies').mutate(caseStudies => {
+      let changed = 0;
+      caseStudies.forEach((caseStudy, index) => {
+        const untouched = caseStudy.status === 'pending' && !caseStudy.reviewed && !caseStudy.reviewHistory;
+        if (!untouched && caseStudy.group !== '') return;
+        const { status, group, ...rest } = caseStudy;
+        caseStudies[index] = {
+          ...rest,
+          ...(!untouched && { status }),
+          ...(group !== '' && { group })
+        };
+        changed++;
+      });
+      log(`Case studies: ${changed} of ${caseStudies.length} reverted`);
+    });
+  }
+};
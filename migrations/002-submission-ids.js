@@ -0,0 +1,87 @@
+// Backfill server-generated ids on existing data (this was migrate-submission-ids.js):
+// - every focus-group submission, edited revision and case gets a UUID
+// - originalSubmissionId references written as "username|email|submittedAt" are rewritten to ids
+// - case studies (and their cases) without an id get one
+// - comments on focus-group submissions are pointed at the new ids
+// Records that already have ids are left alone. There is no down migration: comments and
+// revisions refer to the new ids, so revert by restoring the backup taken before it ran.
+
+const crypto = require('crypto');
+const { legacySubmissionKey, assignCaseIds } = require('../lib/revisions');
+
+module.exports = {
+  description: 'Give submissions, cases and case studies ids and point references at them',
+
+  async up(store, { log }) {
+    // Focus-group submissions: ids first, so references can be rewritten afterwards
+    const keyToId = await store.collection('focusGroupSubmissions').mutate(submissions => {
+      submissions.forEach((submission, index) => {
+        if (!submission.id) {
+          submissions[index] = { ...submission, id: crypto.randomUUID() };
+        }
+      });
+
+      const keyToId = new Map();
+      submissions.forEach(s => keyToId.set(legacySubmissionKey(s), s.id));
+      // Resolve a reference (legacy key or id) to the id of the original submission
+      const resolve = (reference, seen = new Set()) => {
+        const target = submissions.find(s => s.id === (keyToId.get(reference) || reference));
+        if (!target) return reference;
+        if (target.isEditedVersion && target.originalSubmissionId && !seen.has(target.id)) {
+          return resolve(target.originalSubmissionId, seen.add(target.id));
+        }
+        return target.id;
+      };
+
+      submissions.forEach((submission, index) => {
+        if (submission.isEditedVersion || !Array.isArray(submission.cases)) return;
+        submissions[index] = { ...submission, cases: assignCaseIds(submission.cases) };
+      });
+      submissions.forEach((submission, index) => {
+        if (!submission.isEditedVersion) return;
+        const originalId = submission.originalSubmissionId ? resolve(submission.originalSubmissionId) : null;
+        const original = submissions.find(s => s.id === originalId);
+        // Cases of an edited revision inherit the id of the original's case in the same position
+        const cases = (submission.cases || []).map((c, caseIndex) => {
+          if (c.id) return c;
+          const originalCase = original && original.cases && original.cases[caseIndex];
+          return { ...c, id: originalCase ? originalCase.id : crypto.randomUUID() };
+        });
+        submissions[index] = { ...submission, originalSubmissionId: originalId, cases };
+      });
+
+      log(`Focus-group submissions: ${submissions.length} checked`);
+      return keyToId;
+    });
+
+    await store.collection('caseStudies').mutate(caseStudies => {
+      caseStudies.forEach((caseStudy, index) => {
+        caseStudies[index] = {
+          ...caseStudy,
+          id: caseStudy.id || crypto.randomUUID(),
+          ...(Array.isArray(caseStudy.cases) && { cases: assignCaseIds(caseStudy.cases) })
+        };
+      });
+      log(`Case studies: ${caseStudies.length} checked`);
+    });
+
+    const focusGroupSubmissions = await store.collection('focusGroupSubmissions').all();
+    await store.collection('comments').mutate(comments => {
+      let rewritten = 0;
+      comments.forEach((comment, index) => {
+        if (comment.targetType !== 'focus-group-submission') return;
+        const targetId = keyToId.get(comment.targetId) || comment.targetId;
+        const target = focusGroupSubmissions.find(s => s.id === targetId);
+        const targetCase = target && comment.caseIndex !== null && target.cases ? target.cases[comment.caseIndex] : null;
+        const caseId = comment.caseId || (targetCase ? targetCase.id : null);
+        if (targetId !== comment.targetId || caseId !== (comment.caseId || null)) {
+          comments[index] = { ...comment, targetId, caseId };
+          rewritten++;
+        }
+      });
+      log(`Comments: ${rewritten} rewritten`);
+    });
+  },
+
+  down: null
+};
@@ -0,0 +1,33 @@
+// Accounts created before email verification existed never received a verification email,
+// so they are treated as verified rather than locked out of anything that needs it. The
+// down migration removes the flag again from those accounts (the ones without
+// emailVerifiedAt, which only the verify and reset endpoints set).
+
+module.exports = {
+  description: 'Mark existing users as email-verified',
+
+  async up(store, { log }) {
+    await store.collection('users').mutate(users => {
+      let changed = 0;
+      users.forEach((user, index) => {
+        if (user.emailVerified !== undefined) return;
+        users[index] = { ...user, emailVerified: true };
+        changed++;
+      });
+      log(`Users: ${changed} of ${users.length} marked as verified`);
+    });
+  },
+
+  async down(store, { log }) {
+    await store.collection('users').mutate(users => {
+      let changed = 0;
+      users.forEach((user, index) => {
+        if (user.emailVerified !== true || user.emailVerifiedAt) return;
+        const { emailVerified, ...rest } = user;
+        users[index] = rest;
+        changed++;
+      });
+      log(`Users: ${changed} of ${users.length} reverted`);
+    });
+  }
+};
@@ -0,0 +1,40 @@
+// Records now carry a version for optimistic concurrency (see lib/versioning.js). Records
+// saved before that are written down at version 1, which is what the server assumes for
+// them anyway. The down migration removes the field from records still at version 1.
+
+const { INITIAL_VERSION } = require('../lib/versioning');
+
+const VERSIONED_COLLECTIONS = ['caseStudies', 'focusGroupSubmissions', 'comments', 'focusGroupSessions', 'taxonomy'];
+
+module.exports = {
+  description: 'Give existing records a version',
+
+  async up(store, { log }) {
+    for (const name of VERSIONED_COLLECTIONS) {
+      await store.collection(name).mutate(records => {
+        let changed = 0;
+        records.forEach((record, index) => {
+          if (Number.isInteger(record.version)) return;
+          records[index] = { ...record, version: INITIAL_VERSION };
+          changed++;
+        });
+        log(`${name}: ${changed} of ${records.length} given version ${INITIAL_VERSION}`);
+      });
+    }
+  },
+
+  async down(store, { log }) {
+    for (const name of VERSIONED_COLLECTIONS) {
+      await store.collection(name).mutate(records => {
+        let changed = 0;
+        records.forEach((record, index) => {
+          if (record.version !== INITIAL_VERSION) return;
+          const { version, ...rest } = record;
+          records[index] = rest;
+          changed++;
+        });
+        log(`${name}: ${changed} of ${records.length} reverted`);
+      });
+    }
+  }
+};
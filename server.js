@@ -4,12 +4,119 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  EMAIL_VERIFICATION_TTL_SECONDS,
+  PASSWORD_RESET_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  generateLinkToken,
+  hashToken
+} = require('./lib/tokens');
+const { createStore, DATA_DIR, SQLITE_FILE } = require('./lib/storage');
+const { EDITABLE_STATUSES, REVIEW_STATUSES, REVIEW_DECISIONS, canTransition, applyTransition } = require('./lib/review');
+const {
+  submissionKey,
+  assignCaseIds,
+  matchesKey,
+  revisionNumber,
+  resolveOriginalKey,
+  revisionsOf,
+  currentRevisions,
+  revisionContent,
+  revisionSummary,
+  diffRevisions
+} = require('./lib/revisions');
+const { COMMENT_TARGET_TYPES, toPublicComment, buildThreads } = require('./lib/comments');
+const {
+  generateJoinCode,
+  normalizeJoinCode,
+  isSessionFacilitator,
+  isSessionParticipant,
+  submissionInSession,
+  toParticipantView
+} = require('./lib/focus-group-sessions');
+const {
+  TAXONOMY_KINDS,
+  isTaxonomyKind,
+  normalizeLabel,
+  newTaxonomyEntry,
+  seedEntries,
+  buildLabelIndex,
+  resolveLabel,
+  isPredefinedLabel,
+  recordItems,
+  addContributions,
+  countUsage,
+  toPublicEntry
+} = require('./lib/taxonomy');
+const {
+  caseRows,
+  parseAnalyticsQuery,
+  filterRows,
+  frequencies,
+  coOccurrence,
+  tensionValuePairs,
+  participantContributions
+} = require('./lib/analytics');
+const { DEFAULT_CONSENSUS_THRESHOLD, agreementSummary, facilitatorChanges } = require('./lib/agreement');
+const { parseExportQuery, filterRecords, flattenRecords, toCsv, toXlsx } = require('./lib/exports');
+const {
+  DEFAULT_STUDY,
+  collectIdentities,
+  assignPseudonyms,
+  createDeidentifier,
+  isValidStudy
+} = require('./lib/deidentify');
+const { IMPORT_DATASETS, IMPORT_FORMATS, isImportDataset, parseBatch, planImport } = require('./lib/bulk-import');
+const { migrateUp } = require('./lib/migrations');
+const { createMailer } = require('./lib/mailer');
+const { verificationEmail, passwordResetEmail, passwordChangedEmail, accountDeletionEmail } = require('./lib/emails');
+const { createThrottle, describeWait } = require('./lib/throttle');
+const { redact } = require('./lib/redact');
+const { createAuditLog, verifyChain, parseAuditQuery, filterEntries, entryRows } = require('./lib/audit');
+const { createEventHub, streamEvents } = require('./lib/live-events');
+const { parseListQuery, runQuery } = require('./lib/query');
+const { INITIAL_VERSION, versionOf, etagFor, parseIfMatch, matchesVersion } = require('./lib/versioning');
+const {
+  DEFAULT_POLICY: DEFAULT_DELETION_POLICY,
+  collectUserData,
+  newDeletionRequest,
+  placeholderIdentity,
+  eraseCaseStudies,
+  eraseSubmissions,
+  eraseComments,
+  eraseContributions,
+  leaveSessions,
+  scrubRecords
+} = require('./lib/data-rights');
+const {
+  currentDocument,
+  consentStatus,
+  newConsentDocument,
+  giveConsent,
+  withdrawConsent,
+  consentingEmails,
+  filterConsented
+} = require('./lib/consent');
+const { validate } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const { ROLES, DEFAULT_ROLE, normalizeRole, hasPermission, can, permissionsForRoute } = require('./lib/permissions');
 
 const app = express();
 const PORT = 3001;
 
+// Behind a reverse proxy, set TRUST_PROXY (a hop count, "true" or a subnet list) so req.ip is
+// the client address the auth throttles count against, not the proxy's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: [
@@ -21,14 +128,16 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With', 'If-Match', 'Last-Event-ID'],
+  exposedHeaders: ['ETag', 'Retry-After', 'X-Excluded-Without-Consent']
 }));
 
 // Additional CORS headers for preflight requests
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', 'https://rai-online-tool.vercel.app');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, X-Requested-With, If-Match, Last-Event-ID');
+  res.header('Access-Control-Expose-Headers', 'ETag, Retry-After, X-Excluded-Without-Consent');
   res.header('Access-Control-Allow-Credentials', 'true');
   
   if (req.method === 'OPTIONS') {
@@ -37,67 +146,324 @@ app.use((req, res, next) => {
     next();
   }
 });
+// Import batches (JSON or CSV) are much larger than regular request bodies
+const IMPORT_BODY_LIMIT = '10mb';
+app.use('/api/import', express.json({ limit: IMPORT_BODY_LIMIT }), express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }));
 app.use(express.json());
 
-// Always use an absolute path for file-based storage (project-root/rai-values-react/data/case-studies.json)
-const SUBMISSIONS_FILE = path.join(__dirname, 'data', 'case-studies.json');
-const USERS_FILE = path.join(__dirname, 'data', 'users.json');
-const FOCUS_GROUP_FILE = path.join(__dirname, 'data', 'case-studies-focus-group.json');
+// All data goes through repositories from the storage layer (JSON files in data/ or SQLite, see lib/storage)
+const store = createStore();
+const caseStudyStore = store.collection('caseStudies');
+const focusGroupStore = store.collection('focusGroupSubmissions');
+const userStore = store.collection('users');
+const authSessionStore = store.collection('authSessions');
+const commentStore = store.collection('comments');
+const sessionStore = store.collection('focusGroupSessions');
+const taxonomyStore = store.collection('taxonomy');
+const pseudonymStore = store.collection('pseudonyms');
+const keyAccessStore = store.collection('pseudonymKeyAccess');
+const accountTokenStore = store.collection('accountTokens');
+const throttleStore = store.collection('throttles');
+const auditStore = store.collection('auditLog');
+const accountDeletionStore = store.collection('accountDeletions');
+const consentDocumentStore = store.collection('consentDocuments');
+const auditLog = createAuditLog(auditStore, store.collection('auditHead'), store.collection('auditSubjects'));
+
+// Attempt limits on the auth endpoints (see lib/throttle.js)
+const throttles = {
+  loginAccount: createThrottle(throttleStore, 'loginAccount'),
+  loginIp: createThrottle(throttleStore, 'loginIp'),
+  register: createThrottle(throttleStore, 'register'),
+  accountEmail: createThrottle(throttleStore, 'accountEmail'),
+  accountEmailIp: createThrottle(throttleStore, 'accountEmailIp'),
+  linkToken: createThrottle(throttleStore, 'linkToken')
+};
+
+// Account emails (verification, password reset) go out through this (see lib/mailer.js)
+const mailer = createMailer();
+
+// Live focus-group updates per group (see lib/live-events.js)
+const liveEvents = createEventHub();
 
 
 // Ensure data directory exists
 async function ensureDataDir() {
   try {
-    await fs.mkdir(path.join(__dirname, 'data'), { recursive: true });
+    await fs.mkdir(DATA_DIR, { recursive: true });
   } catch (error) {
     console.log('Data directory already exists');
   }
 }
 
-// Load existing submissions
-async function loadSubmissions() {
+// Start a new auth session for a user and issue its tokens
+async function createAuthSession(user) {
+  const refreshToken = generateRefreshToken();
+  const now = new Date();
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString()
+  };
+  // Drop expired sessions before adding the new one
+  await authSessionStore.remove(s => new Date(s.expiresAt) <= now);
+  await authSessionStore.insert(session);
+  return {
+    accessToken: signAccessToken({ userId: user.id, sessionId: session.id }),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+// Issue a single-use link token (purpose "verify-email" or "reset-password") for a user.
+// Earlier unused tokens of the same purpose stop working, and expired ones are dropped.
+async function issueLinkToken(user, purpose, ttlSeconds) {
+  const token = generateLinkToken();
+  const now = new Date();
+  await accountTokenStore.mutate(tokens => {
+    const kept = tokens.filter(t =>
+      new Date(t.expiresAt) > now && !(t.userId === user.id && t.purpose === purpose && !t.usedAt)
+    );
+    kept.push({
+      id: crypto.randomUUID(),
+      userId: user.id,
+      purpose,
+      tokenHash: hashToken(token),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+      usedAt: null
+    });
+    tokens.splice(0, tokens.length, ...kept);
+  });
+  return token;
+}
+
+// Use up a link token. Resolves to its record, or null if it is unknown, used or expired.
+async function consumeLinkToken(token, purpose) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+  return accountTokenStore.mutate(tokens => {
+    const record = tokens.find(t => t.tokenHash === tokenHash && t.purpose === purpose);
+    if (!record || record.usedAt || new Date(record.expiresAt) <= now) return null;
+    record.usedAt = now.toISOString();
+    return record;
+  });
+}
+
+// Mail problems are logged rather than failing the request that triggered the email
+async function sendMail(message) {
   try {
-    const data = await fs.readFile(SUBMISSIONS_FILE, 'utf8');
-    return JSON.parse(data);
+    await mailer.send(message);
   } catch (error) {
-    return [];
+    console.error('Failed to send email:', error);
   }
 }
 
-// Save submissions
-async function saveSubmissions(submissions) {
-  await fs.writeFile(SUBMISSIONS_FILE, JSON.stringify(submissions, null, 2));
+async function sendVerificationEmail(user) {
+  const token = await issueLinkToken(user, 'verify-email', EMAIL_VERIFICATION_TTL_SECONDS);
+  await sendMail(verificationEmail(user, token, EMAIL_VERIFICATION_TTL_SECONDS));
 }
 
-// Load users
-async function loadUsers() {
-  try {
-    const data = await fs.readFile(USERS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
+// Public view of a user, safe to send to the client
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: normalizeRole(user.role),
+    emailVerified: Boolean(user.emailVerified),
+    school: user.school || null,
+    country: user.country || null,
+    city: user.city || null,
+    avatar: user.avatar || 'default'
+  };
+}
+
+// Auth middleware - fills in req.user from a valid "Authorization: Bearer <token>" header.
+// Requests without a token continue anonymously; use requireAuth on routes that need a user.
+async function authenticate(req, res, next) {
+  req.user = null;
+  const header = req.headers.authorization || '';
+  let [scheme, token] = header.split(' ');
+  // EventSource cannot send headers, so event streams may pass the token as ?access_token=
+  if (!header && req.method === 'GET' && req.accepts('text/event-stream') === 'text/event-stream' && req.query.access_token) {
+    [scheme, token] = ['Bearer', req.query.access_token];
+  }
+  if (scheme !== 'Bearer' || !token) {
+    return next();
+  }
+  const claims = verifyAccessToken(token);
+  if (!claims) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired token' });
   }
+  const session = await authSessionStore.get(claims.sid);
+  if (!session || session.userId !== claims.sub) {
+    return res.status(401).json({ success: false, message: 'Session has ended' });
+  }
+  const user = await userStore.get(claims.sub);
+  if (!user) {
+    return res.status(401).json({ success: false, message: 'User no longer exists' });
+  }
+  req.user = user;
+  req.authSessionId = session.id;
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+  next();
+}
+
+// Access policy middleware for a route declared in ROUTE_POLICIES (lib/permissions.js).
+// Passes when the caller holds any of the route's permissions; ownership of the
+// record itself is checked in the handler with can().
+function authorize(routeKey) {
+  const permissions = permissionsForRoute(routeKey);
+  return [requireAuth, (req, res, next) => {
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
+    }
+    next();
+  }];
 }
 
-// Save users
-async function saveUsers(users) {
-  await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
+
+
+// Validation middleware - checks req.body against a schema from lib/schemas.js and replaces it
+// with the cleaned value (undeclared and server-owned fields stripped)
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+    if (errors.length) {
+      return res.status(400).json({ success: false, error: 'Invalid request body', errors });
+    }
+    req.body = value;
+    next();
+  };
 }
 
-async function loadFocusGroupSubmissions() {
+// Record a data-changing action in the audit trail (see lib/audit.js). The actor is the
+// caller unless `actor` is given (e.g. the account a reset link belongs to). A failed write
+// is logged; the change it describes has already happened.
+async function audit(req, { actor = req.user, ...fields }) {
   try {
-    const data = await fs.readFile(FOCUS_GROUP_FILE, 'utf8');
-    return JSON.parse(data);
+    await auditLog.append({ ...fields, actor: actor && { ...actor, role: normalizeRole(actor.role) }, ip: req.ip });
   } catch (error) {
-    return [];
+    console.error('Failed to write audit entry:', error);
+  }
+}
+
+// 429 response for a request a throttle has blocked
+function tooManyAttempts(res, { retryAfter, locked }) {
+  res.set('Retry-After', String(retryAfter));
+  const message = locked
+    ? `Too many failed login attempts - this account is locked for ${describeWait(retryAfter)}. A facilitator can unlock it sooner.`
+    : `Too many attempts - please try again in ${describeWait(retryAfter)}`;
+  return res.status(429).json({ success: false, message, retryAfter, locked });
+}
+
+// Throttle middleware - rejects the request while the client IP is blocked, otherwise counts it
+function throttleByIp(throttle) {
+  return async (req, res, next) => {
+    const state = await throttle.check(`ip:${req.ip}`);
+    if (!state.allowed) return tooManyAttempts(res, state);
+    await throttle.hit(`ip:${req.ip}`);
+    next();
+  };
+}
+
+// Throttle middleware - rejects the request while the client IP is blocked, without counting
+// it; the handler counts failed attempts itself
+function blockedIp(throttle) {
+  return async (req, res, next) => {
+    const state = await throttle.check(`ip:${req.ip}`);
+    if (!state.allowed) return tooManyAttempts(res, state);
+    next();
+  };
+}
+
+// If-Match middleware - updates and deletes must name the version of the record they were
+// based on (see lib/versioning.js); it is left in req.ifMatch for the handler to check
+function requireIfMatch(req, res, next) {
+  const ifMatch = parseIfMatch(req.get('If-Match'));
+  if (ifMatch === null) {
+    return res.status(428).json({ success: false, message: 'If-Match header required: send the ETag (version) of the record you are changing' });
   }
+  if (ifMatch === undefined) {
+    return res.status(400).json({ success: false, message: 'If-Match must be "*" or quoted versions, e.g. "3"' });
+  }
+  req.ifMatch = ifMatch;
+  next();
+}
+
+// 409 response for a write based on an outdated version, with the record as it is now
+function sendVersionConflict(res, current) {
+  res.set('ETag', etagFor(current));
+  return res.status(409).json({
+    success: false,
+    message: 'This record has been changed by someone else since you loaded it',
+    currentVersion: versionOf(current),
+    current
+  });
 }
 
-async function saveFocusGroupSubmissions(submissions) {
-  await fs.writeFile(FOCUS_GROUP_FILE, JSON.stringify(submissions, null, 2));
+// Update the record matching `predicate` if it is still at a version If-Match accepts.
+// `change` gets the current record and returns the new one, which goes up a version.
+// Resolves to { record }, { conflict: current record } or {} when nothing matched.
+async function updateIfMatch(collection, predicate, ifMatch, change) {
+  return collection.mutate(records => {
+    const index = records.findIndex(predicate);
+    if (index === -1) return {};
+    if (!matchesVersion(records[index], ifMatch)) return { conflict: records[index] };
+    records[index] = { ...change(records[index]), version: versionOf(records[index]) + 1 };
+    return { record: records[index] };
+  });
+}
+
+// Remove the record matching `predicate` if it is still at a version If-Match accepts.
+// Resolves to { record } (the removed one), { conflict: current record } or {}.
+async function removeIfMatch(collection, predicate, ifMatch) {
+  return collection.mutate(records => {
+    const index = records.findIndex(predicate);
+    if (index === -1) return {};
+    if (!matchesVersion(records[index], ifMatch)) return { conflict: records[index] };
+    const [removed] = records.splice(index, 1);
+    return { record: removed };
+  });
 }
 
+// De-identification middleware - with ?deidentify=true, sets req.deidentify to the study
+// (?study=, default "default") whose pseudonyms the response should use
+function deidentifyQuery(req, res, next) {
+  req.deidentify = null;
+  if (req.query.deidentify !== 'true') return next();
+  const study = req.query.study || DEFAULT_STUDY;
+  if (!isValidStudy(study)) {
+    return res.status(400).json({ success: false, message: 'study must be letters, digits, "-" or "_"' });
+  }
+  req.deidentify = { study };
+  next();
+}
+
+// The de-identifier for a study, after giving everyone in the records a pseudonym. The
+// pseudonym table is only written when someone in them does not have one yet.
+async function deidentifierFor(study, records) {
+  const users = await userStore.all();
+  const identities = collectIdentities(records, users);
+  const table = await pseudonymStore.all();
+  const known = new Set(table.filter(entry => entry.study === study).map(entry => entry.identity));
+  const pseudonyms = [...identities].every(identity => known.has(identity))
+    ? assignPseudonyms([...table], study, identities)
+    : await pseudonymStore.mutate(entries => assignPseudonyms(entries, study, identities));
+  return createDeidentifier(pseudonyms, users);
+}
 
+// Resolve the caller from their session token on every request
+app.use(authenticate);
 
 // API Routes
 
@@ -120,19 +486,54 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// GET /api/case-studies - Get all submissions or filter by user
-app.get('/api/case-studies', async (req, res) => {
+// Query middleware - parses the search, filter, sort and paging parameters of a listing
+// (see lib/query.js) into req.listQuery, or answers 400. `aliases` maps older parameter
+// names to current ones.
+function listQuery(dataset, aliases = {}) {
+  return (req, res, next) => {
+    const query = { ...req.query };
+    Object.entries(aliases).forEach(([alias, name]) => {
+      if (query[alias] !== undefined && query[name] === undefined) query[name] = query[alias];
+    });
+    const { options, error } = parseListQuery(query, dataset);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    req.listQuery = options;
+    next();
+  };
+}
+
+// Run a listing query; value and tension filters also match taxonomy synonyms
+async function queryRecords(records, dataset, options) {
+  const taxonomy = options.filters.value || options.filters.tension ? await taxonomyStore.all() : [];
+  return runQuery(records, dataset, options, { taxonomy });
+}
+
+// GET /api/case-studies - Case studies, with search, filters, sorting and cursor paging
+// (?q=&status=&group=&author=&value=&tension=&from=&to=&sort=&limit=&cursor=, see lib/query.js).
+// ?user= is the older name for ?author=. Participants only get their own; facilitators get
+// other people's only with research consent (X-Excluded-Without-Consent says how many were
+// left out), de-identified with ?deidentify=true.
+app.get('/api/case-studies', authorize('GET /api/case-studies'), deidentifyQuery, listQuery('caseStudies', { user: 'author' }), async (req, res) => {
   try {
-    const submissions = await loadSubmissions();
-    const { user } = req.query;
-    let filtered = submissions;
-    if (user) {
-      filtered = submissions.filter(s => s.author && s.author === user);
+    const visible = (await caseStudyStore.all()).filter(s => can(req.user, 'caseStudies:read', s));
+    const own = visible.filter(s => s.author === req.user.email);
+    const consented = filterConsented(visible.filter(s => s.author !== req.user.email), 'case-studies', await researchConsentingEmails());
+    const result = await queryRecords([...own, ...consented.records], 'caseStudies', req.listQuery);
+    const { total, nextCursor } = result;
+    let { data } = result;
+    if (req.deidentify) {
+      const deidentifier = await deidentifierFor(req.deidentify.study, data);
+      data = data.map(deidentifier.record);
     }
+    res.set('X-Excluded-Without-Consent', String(consented.excluded));
     res.json({
       success: true,
-      data: filtered,
-      count: filtered.length
+      data,
+      count: data.length,
+      total,
+      nextCursor
     });
   } catch (error) {
     res.status(500).json({
@@ -142,31 +543,46 @@ app.get('/api/case-studies', async (req, res) => {
   }
 });
 
+// GET /api/case-studies/:id - One case study; the ETag is the version edits must name in If-Match
+app.get('/api/case-studies/:id', authorize('GET /api/case-studies/:id'), async (req, res) => {
+  try {
+    const caseStudy = await caseStudyStore.get(req.params.id);
+    if (!caseStudy) {
+      return res.status(404).json({ success: false, error: 'Submission not found' });
+    }
+    if (!can(req.user, 'caseStudies:read', caseStudy)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
+    }
+    res.set('ETag', etagFor(caseStudy));
+    res.json({ success: true, data: caseStudy });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load submission'
+    });
+  }
+});
+
 // POST /api/case-studies - Submit new case study
-app.post('/api/case-studies', async (req, res) => {
+app.post('/api/case-studies', authorize('POST /api/case-studies'), validateBody(schemas.caseStudyCreate), async (req, res) => {
   try {
     const submission = req.body;
     console.log('Received submission:', submission); // Debug log
-    // Only require title and author for now
-    const requiredFields = ['title', 'author'];
-    const missingFields = requiredFields.filter(field => !submission[field]);
-    if (missingFields.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: `Missing required fields: ${missingFields.join(', ')}`
-      });
-    }
-    // Add metadata
+    // Add metadata - the author comes from the session token
     const newSubmission = {
       ...submission, // This will include group if present
-      id: Date.now().toString(),
-      submittedAt: submission.submittedAt || new Date().toISOString(),
+      ...(Array.isArray(submission.cases) && { cases: assignCaseIds(submission.cases) }),
+      author: req.user.email,
+      id: crypto.randomUUID(),
+      submittedAt: new Date().toISOString(),
       status: 'pending', // Always set to pending
-      reviewed: false
+      reviewed: false,
+      version: INITIAL_VERSION
     };
-    const submissions = await loadSubmissions();
-    submissions.push(newSubmission);
-    await saveSubmissions(submissions);
+    await caseStudyStore.insert(newSubmission);
+    await recordContributions([newSubmission]);
+    await audit(req, { action: 'caseStudy.create', kind: 'create', targetType: 'caseStudy', targetId: newSubmission.id, after: newSubmission });
+    res.set('ETag', etagFor(newSubmission));
     res.status(201).json({
       success: true,
       message: 'Case study submitted successfully',
@@ -180,39 +596,65 @@ app.post('/api/case-studies', async (req, res) => {
   }
 });
 
-// PUT /api/case-studies/:id - Update all fields of a submission (only if status is 'pending')
-app.put('/api/case-studies/:id', async (req, res) => {
+// PUT /api/case-studies/:id - Update all fields of a submission (only while pending or changes-requested)
+app.put('/api/case-studies/:id', authorize('PUT /api/case-studies/:id'), requireIfMatch, validateBody(schemas.caseStudyUpdate), async (req, res) => {
   try {
     const { id } = req.params;
     const updateFields = req.body;
-    const submissions = await loadSubmissions();
-    const submissionIndex = submissions.findIndex(s => s.id === id);
-    if (submissionIndex === -1) {
+    const existing = await caseStudyStore.get(id);
+    if (!existing) {
       return res.status(404).json({
         success: false,
         error: 'Submission not found'
       });
     }
-    // Only allow update if status is 'pending'
-    if (submissions[submissionIndex].status !== 'pending') {
+    // Reviewers may edit any case study, authors only their own (see lib/permissions.js)
+    if (!can(req.user, 'caseStudies:update', existing)) {
       return res.status(403).json({
         success: false,
-        error: 'Cannot edit an approved submission'
+        error: 'You can only edit your own submissions'
       });
     }
-    // Update all fields except id and submittedAt
-    submissions[submissionIndex] = {
-      ...submissions[submissionIndex],
-      ...updateFields,
-      id: submissions[submissionIndex].id,
-      submittedAt: submissions[submissionIndex].submittedAt,
-      updatedAt: new Date().toISOString()
-    };
-    await saveSubmissions(submissions);
+    // Only allow update while the submission is pending or has changes requested
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      return res.status(403).json({
+        success: false,
+        error: `Cannot edit a submission that is ${existing.status}`
+      });
+    }
+    if (!matchesVersion(existing, req.ifMatch)) {
+      return sendVersionConflict(res, existing);
+    }
+    // Update all fields except id, submittedAt and the review state
+    const { record: updated, conflict } = await updateIfMatch(caseStudyStore, s => s.id === id, req.ifMatch, current => {
+      const edited = {
+        ...current,
+        ...updateFields,
+        ...(Array.isArray(updateFields.cases) && { cases: assignCaseIds(updateFields.cases) }),
+        id: current.id,
+        submittedAt: current.submittedAt,
+        status: current.status,
+        reviewed: current.reviewed,
+        reviewHistory: current.reviewHistory,
+        updatedAt: new Date().toISOString()
+      };
+      // The author saving after changes were requested resubmits the case study for review
+      return current.status === 'changes-requested' && current.author === req.user.email
+        ? applyTransition(edited, 'pending', { actor: req.user.email, reason: 'Resubmitted after requested changes' })
+        : edited;
+    });
+    if (conflict) {
+      return sendVersionConflict(res, conflict);
+    }
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Submission not found' });
+    }
+    await audit(req, { action: 'caseStudy.update', kind: 'update', targetType: 'caseStudy', targetId: id, before: existing, after: updated });
+    res.set('ETag', etagFor(updated));
     res.json({
       success: true,
       message: 'Submission updated successfully',
-      data: submissions[submissionIndex]
+      data: updated
     });
   } catch (error) {
     res.status(500).json({
@@ -223,20 +665,34 @@ app.put('/api/case-studies/:id', async (req, res) => {
 });
 
 // DELETE /api/case-studies/:id - Delete submission
-app.delete('/api/case-studies/:id', async (req, res) => {
+app.delete('/api/case-studies/:id', authorize('DELETE /api/case-studies/:id'), requireIfMatch, async (req, res) => {
   try {
     const { id } = req.params;
-    const submissions = await loadSubmissions();
-    const filteredSubmissions = submissions.filter(s => s.id !== id);
+    const submission = await caseStudyStore.get(id);
 
-    if (filteredSubmissions.length === submissions.length) {
+    if (!submission) {
       return res.status(404).json({
         success: false,
         error: 'Submission not found'
       });
     }
 
-    await saveSubmissions(filteredSubmissions);
+    // Facilitators may delete anything; authors only their own pending case studies
+    if (!can(req.user, 'caseStudies:delete', submission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own pending submissions'
+      });
+    }
+
+    const { record: removed, conflict } = await removeIfMatch(caseStudyStore, s => s.id === id, req.ifMatch);
+    if (conflict) {
+      return sendVersionConflict(res, conflict);
+    }
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Submission not found' });
+    }
+    await audit(req, { action: 'caseStudy.delete', kind: 'delete', targetType: 'caseStudy', targetId: id, before: submission });
 
     res.json({
       success: true,
@@ -252,57 +708,182 @@ app.delete('/api/case-studies/:id', async (req, res) => {
   }
 });
 
+// POST /api/case-studies/:id/approve | reject | request-changes - Facilitator review decision with a note
+Object.entries(REVIEW_DECISIONS).forEach(([decision, status]) => {
+  const route = `/api/case-studies/:id/${decision}`;
+  app.post(route, authorize(`POST ${route}`), requireIfMatch, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+      if (decision !== 'approve' && !note) {
+        return res.status(400).json({
+          success: false,
+          error: 'A reviewer note is required'
+        });
+      }
+
+      const existing = await caseStudyStore.get(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Submission not found'
+        });
+      }
+      if (!matchesVersion(existing, req.ifMatch)) {
+        return sendVersionConflict(res, existing);
+      }
+      if (!canTransition(existing.status, status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot ${decision.replace('-', ' ')} a submission that is ${existing.status}`
+        });
+      }
+
+      const { record: updated, conflict } = await updateIfMatch(caseStudyStore, s => s.id === id, req.ifMatch, current =>
+        applyTransition(current, status, { actor: req.user.email, reason: note })
+      );
+      if (conflict) {
+        return sendVersionConflict(res, conflict);
+      }
+      if (!updated) {
+        return res.status(404).json({ success: false, error: 'Submission not found' });
+      }
+      recordGroups(updated).forEach(group => {
+        publishLive(group, 'caseStudy.status', {
+          caseStudy: { id: updated.id, title: updated.title, author: updated.author, status: updated.status }
+        });
+      });
+      await audit(req, { action: `caseStudy.${decision}`, kind: 'review', targetType: 'caseStudy', targetId: id, before: existing, after: updated, details: { note } });
+      res.set('ETag', etagFor(updated));
+      res.json({
+        success: true,
+        message: `Submission ${status}`,
+        data: updated
+      });
+    } catch (error) {
+      console.error('Error reviewing submission:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to review submission'
+      });
+    }
+  });
+});
+
+// GET /api/review-queue - Case studies waiting for review, oldest first (?status= to see another state)
+app.get('/api/review-queue', authorize('GET /api/review-queue'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+    const queue = (await caseStudyStore.filter(s => (s.status || 'pending') === status))
+      .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+    res.json({
+      success: true,
+      data: queue,
+      count: queue.length
+    });
+  } catch (error) {
+    console.error('Error loading review queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load review queue'
+    });
+  }
+});
+
+// A focus-group submission as group views list it, with only the cases filed under the group
+function toGroupSubmission(s, group) {
+  return {
+    id: s.id || null,
+    conceptCard: s.conceptCard,
+    username: s.username,
+    email: s.email,
+    submittedAt: s.submittedAt,
+    isEditedVersion: s.isEditedVersion || false,
+    originalSubmissionId: s.originalSubmissionId || null,
+    revision: revisionNumber(s),
+    editedBy: s.editedBy || null,
+    editTimestamp: s.editTimestamp || null,
+    version: versionOf(s),
+    cases: (s.cases || []).filter(c => c.group === group)
+  };
+}
+
+// The groups a submission's cases (or a case study itself) are filed under
+function recordGroups(record) {
+  const groups = [record.group, ...(record.cases || []).map(c => c && c.group)];
+  return [...new Set(groups.filter(Boolean))];
+}
+
+// Publish a live event with a pseudonymized copy for subscribers who are not facilitators.
+// With canSee(user), only the subscribers it accepts get the event. Events are queued, so
+// they go out in the order they were published.
+let liveEventQueue = Promise.resolve();
+function publishLive(group, type, data, { canSee = null } = {}) {
+  liveEventQueue = liveEventQueue
+    .then(async () => {
+      const deidentifier = await deidentifierFor(DEFAULT_STUDY, [data]);
+      liveEvents.publish(group, type, data, deidentifier.record(data), { canSee });
+    })
+    .catch(error => console.error('Error publishing live event:', error));
+  return liveEventQueue;
+}
+
+// Push a focus-group submission (or revision) to the live stream of each of its groups
+function publishSubmission(type, submission) {
+  recordGroups(submission).forEach(group => {
+    publishLive(group, type, { submission: toGroupSubmission(submission, group) });
+  });
+}
+
+// Push a comment to the live streams of the groups of the record it is on, for the
+// subscribers GET /api/comments would show it to
+async function publishComment(type, comment) {
+  const target = await findCommentTarget(comment.targetType, comment.targetId);
+  if (!target) return;
+  const canSee = user => Boolean(user) && can(user, 'comments:read', target.record);
+  recordGroups(target.record).forEach(group => {
+    publishLive(group, type, { comment: toPublicComment(comment) }, { canSee });
+  });
+}
+
 // GET /api/group-submissions?group=GROUP_NAME - Get all focus group submissions for a group
-app.get('/api/group-submissions', async (req, res) => {
+// (participants of the group's session get them with pseudonyms instead of names and emails)
+app.get('/api/group-submissions', authorize('GET /api/group-submissions'), deidentifyQuery, async (req, res) => {
   try {
     const { group } = req.query;
     if (!group) {
       return res.status(400).json({ success: false, error: 'Group name required' });
     }
-    const submissions = await loadFocusGroupSubmissions();
-    console.log('Loaded submissions:', submissions.length);
-    console.log('First submission structure:', submissions[0]);
-    
-    // Group submissions by their original submission ID to get the most recent version
-    const submissionGroups = {};
-    
-    submissions.forEach(s => {
-      if (s.cases && s.cases.length) {
-        // Check if any case in this submission belongs to the requested group
-        const hasGroupCases = s.cases.some(c => c.group === group);
-        if (hasGroupCases) {
-          // For original submissions, use the standard key
-          // For edited submissions, use the originalSubmissionId
-          const key = s.isEditedVersion && s.originalSubmissionId 
-            ? s.originalSubmissionId 
-            : `${s.username}|${s.email}|${s.submittedAt}`;
-          
-          // Keep only the most recent version (edited version takes precedence)
-          if (!submissionGroups[key] || s.isEditedVersion) {
-            submissionGroups[key] = s;
-          }
-        }
+    // Participants may look at the groups of the sessions they take part in
+    const canReadIdentities = hasPermission(req.user, 'focusGroup:read');
+    if (!canReadIdentities) {
+      const session = await sessionStore.find(s => s.name === group);
+      if (!session || !isSessionParticipant(session, req.user)) {
+        return res.status(403).json({ success: false, message: 'You are not part of this session' });
       }
-    });
+    }
+    const submissions = await focusGroupStore.all();
+    
+    // Only submissions whose latest revision has cases in the requested group
+    const latestInGroup = currentRevisions(submissions)
+      .filter(s => s.cases && s.cases.some(c => c.group === group));
     
     // Return all cases from all submissions, maintaining the original structure
-    const groupSubs = Object.values(submissionGroups).map(s => {
-      console.log('Processing submission:', s.username, 'with cases:', s.cases);
-      const filteredCases = s.cases.filter(c => c.group === group);
-      console.log('Filtered cases for group', group, ':', filteredCases);
-      return {
-        conceptCard: s.conceptCard,
-        username: s.username,
-        email: s.email,
-        submittedAt: s.submittedAt,
-        isEditedVersion: s.isEditedVersion || false,
-        originalSubmissionId: s.originalSubmissionId || null,
-        editedBy: s.editedBy || null,
-        editTimestamp: s.editTimestamp || null,
-        cases: filteredCases
-      };
-    });
+    let groupSubs = latestInGroup.map(s => toGroupSubmission(s, group));
     
+    // Only facilitators and admins see who wrote what; everyone else gets pseudonyms
+    const deidentify = req.deidentify || (!canReadIdentities && { study: DEFAULT_STUDY });
+    if (deidentify) {
+      const deidentifier = await deidentifierFor(deidentify.study, groupSubs);
+      groupSubs = groupSubs.map(deidentifier.record);
+    }
+
     res.json({
       success: true,
       data: groupSubs,
@@ -313,142 +894,756 @@ app.get('/api/group-submissions', async (req, res) => {
   }
 });
 
-// POST /api/case-studies-focus-group - Submit new focus group case study set
-app.post('/api/case-studies-focus-group', async (req, res) => {
+// GET /api/group-submissions/events?group=GROUP_NAME (or ?sessionId=) - Live updates for a group
+// as Server-Sent Events: submission.created, submission.updated, submission.edited,
+// submission.deleted, comment.created, comment.updated, comment.deleted, comment.resolved,
+// caseStudy.status and session.state. Reconnecting clients send Last-Event-ID (or
+// ?lastEventId=) to get what they missed; EventSource may pass its token as ?access_token=.
+app.get('/api/group-submissions/events', authorize('GET /api/group-submissions/events'), async (req, res) => {
   try {
-    await ensureDataDir();
-    const submission = req.body;
-    // Optionally add a timestamp or server-side ID here
-    const submissions = await loadFocusGroupSubmissions();
-    submissions.push(submission);
-    await saveFocusGroupSubmissions(submissions);
-    res.json({ success: true });
+    const { sessionId } = req.query;
+    const session = sessionId
+      ? await sessionStore.get(sessionId)
+      : req.query.group && await sessionStore.find(s => s.name === req.query.group);
+    if (sessionId && !session) {
+      return res.status(404).json({ success: false, message: 'Focus group session not found' });
+    }
+    const group = session ? session.name : req.query.group;
+    if (!group) {
+      return res.status(400).json({ success: false, message: 'Group name or sessionId required' });
+    }
+    // Participants may follow the sessions they take part in
+    if (!hasPermission(req.user, 'focusGroup:read') && !(session && isSessionParticipant(session, req.user))) {
+      return res.status(403).json({ success: false, message: 'You are not part of this session' });
+    }
+
+    // Only facilitators and admins see names and emails; participants get pseudonyms
+    streamEvents(liveEvents, req, res, group, req.get('Last-Event-ID') || req.query.lastEventId, {
+      full: hasPermission(req.user, 'focusGroup:read')
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to save focus group submission' });
+    console.error('Error opening event stream:', error);
+    res.status(500).json({ success: false, message: 'Failed to open event stream' });
   }
 });
 
-// Register endpoint
-app.post('/api/auth/register', async (req, res) => {
-  const { username, email, password } = req.body;
-  if (!username || !email || !password) {
-    return res.status(400).json({ success: false, message: 'All fields required' });
-  }
-  const users = await loadUsers();
-  if (users.find(u => u.email === email)) {
-    return res.status(400).json({ success: false, message: 'Email already registered' });
+// POST /api/case-studies-focus-group - Submit new focus group case study set to an open session
+app.post('/api/case-studies-focus-group', authorize('POST /api/case-studies-focus-group'), validateBody(schemas.focusGroupSubmission), async (req, res) => {
+  try {
+    await ensureDataDir();
+    const submission = req.body;
+    const session = await sessionStore.get(submission.sessionId);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Focus group session not found' });
+    }
+    if (session.state !== 'open') {
+      return res.status(403).json({ success: false, error: 'This focus group session is closed' });
+    }
+    if (!isSessionParticipant(session, req.user)) {
+      return res.status(403).json({ success: false, error: 'You are not a participant in this focus group session' });
+    }
+    if (session.conceptCards.length && !session.conceptCards.includes(submission.conceptCard)) {
+      return res.status(400).json({ success: false, error: 'This concept card is not part of the session' });
+    }
+
+    // The participant comes from the session token, and every case is filed under the session's group
+    const newSubmission = {
+      ...submission,
+      id: crypto.randomUUID(),
+      username: req.user.username,
+      email: req.user.email,
+      sessionId: session.id,
+      submittedAt: new Date().toISOString(),
+      cases: assignCaseIds(submission.cases).map(c => ({ ...c, group: session.name })),
+      version: INITIAL_VERSION
+    };
+    await focusGroupStore.insert(newSubmission);
+    await recordContributions([newSubmission]);
+    publishSubmission('submission.created', newSubmission);
+    await audit(req, { action: 'focusGroupSubmission.create', kind: 'create', targetType: 'focusGroupSubmission', targetId: newSubmission.id, after: newSubmission });
+    res.json({ success: true, id: newSubmission.id, data: newSubmission });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to save focus group submission' });
   }
-  const passwordHash = await bcrypt.hash(password, 10);
-  const newUser = {
-    id: Date.now().toString(),
-    username,
-    email,
-    passwordHash,
-    createdAt: new Date().toISOString()
-  };
-  users.push(newUser);
-  await saveUsers(users);
-  res.json({ success: true, message: 'Registered successfully', username, email });
 });
 
-// Login endpoint
-app.post('/api/auth/login', async (req, res) => {
-  console.log('Login attempt received:', { 
-    origin: req.headers.origin,
-    method: req.method,
-    body: req.body 
-  });
-  
-  const { usernameOrEmail, password } = req.body;
-  if (!usernameOrEmail || !password) {
-    console.log('Missing credentials');
-    return res.status(400).json({ success: false, message: 'All fields required' });
-  }
-  
-  const users = await loadUsers();
-  const user = users.find(u => u.email === usernameOrEmail || u.username === usernameOrEmail);
-  
-  if (!user) {
-    console.log('User not found:', usernameOrEmail);
-    return res.status(401).json({ success: false, message: 'Invalid credentials' });
-  }
-  
-  const match = await bcrypt.compare(password, user.passwordHash);
-  if (!match) {
-    console.log('Password mismatch for user:', usernameOrEmail);
-    return res.status(401).json({ success: false, message: 'Invalid credentials' });
+// GET /api/case-studies-focus-group - Focus-group submissions (the current revision of each),
+// with search, filters, sorting and cursor paging (?q=&sessionId=&group=&conceptCard=&participant=
+// &edited=&value=&tension=&from=&to=&sort=&limit=&cursor=, see lib/query.js). Participants only
+// get their own.
+app.get('/api/case-studies-focus-group', authorize('GET /api/case-studies-focus-group'), listQuery('focusGroup'), async (req, res) => {
+  try {
+    const visible = currentRevisions(await focusGroupStore.all())
+      .filter(s => can(req.user, 'focusGroup:read', s))
+      .map(s => ({ ...s, revision: revisionNumber(s) }));
+    const { data, total, nextCursor } = await queryRecords(visible, 'focusGroup', req.listQuery);
+    res.json({ success: true, data, count: data.length, total, nextCursor });
+  } catch (error) {
+    console.error('Error listing focus group submissions:', error);
+    res.status(500).json({ success: false, message: 'Failed to list focus group submissions' });
   }
-  
-  console.log('Login successful for user:', user.username);
-  res.json({ success: true, username: user.username, email: user.email, role: user.role || 'user' });
 });
 
-// Update user profile endpoint
-app.post('/api/auth/update-profile', async (req, res) => {
+// GET /api/case-studies-focus-group/:id - A focus-group submission. The original's id returns
+// its current (latest) revision; a revision's id returns that exact revision.
+app.get('/api/case-studies-focus-group/:id', authorize('GET /api/case-studies-focus-group/:id'), async (req, res) => {
   try {
-    const { email, username, school, country, city, avatar } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({ success: false, message: 'Email is required' });
+    const focusGroupData = await focusGroupStore.all();
+    const record = focusGroupData.find(s => matchesKey(s, req.params.id));
+    if (!record) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
     }
-    
-    const users = await loadUsers();
-    const userIndex = users.findIndex(u => u.email === email);
-    
-    if (userIndex === -1) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    if (!can(req.user, 'focusGroup:read', record)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
     }
-    
-    // Update user profile data (email cannot be changed)
-    const updatedUser = {
-      ...users[userIndex],
-      username: username || users[userIndex].username,
-      school: school || null,
-      country: country || null,
-      city: city || null,
-      avatar: avatar || 'default',
-      updatedAt: new Date().toISOString()
-    };
-    
-    users[userIndex] = updatedUser;
-    await saveUsers(users);
-    
-    res.json({ 
-      success: true, 
-      message: 'Profile updated successfully',
-      user: {
-        username: updatedUser.username,
-        email: updatedUser.email, // Keep original email
-        role: updatedUser.role || 'user',
-        school: updatedUser.school,
-        country: updatedUser.country,
-        city: updatedUser.city,
-        avatar: updatedUser.avatar
-      }
+
+    const originalKey = resolveOriginalKey(focusGroupData, req.params.id);
+    const revisions = revisionsOf(focusGroupData, originalKey);
+    const current = record.isEditedVersion ? record : revisions[revisions.length - 1];
+    // The ETag is the submission's current version, which edits must name in If-Match
+    res.set('ETag', etagFor(revisions[revisions.length - 1]));
+    res.json({
+      success: true,
+      data: { ...current, revision: revisionNumber(current) },
+      originalSubmissionId: originalKey,
+      latestRevision: revisionNumber(revisions[revisions.length - 1])
     });
   } catch (error) {
-    console.error('Error updating profile:', error);
-    res.status(500).json({ success: false, message: 'Failed to update profile' });
+    console.error('Error getting focus group submission:', error);
+    res.status(500).json({ success: false, message: 'Failed to get focus group submission' });
   }
 });
 
-// Get user profile endpoint
-app.get('/api/auth/profile/:email', async (req, res) => {
+// PUT /api/case-studies-focus-group/:id - Update a focus-group submission. Facilitator updates
+// are stored as a new revision; participants may change their own submission in place while
+// its session is open and no facilitator has edited it.
+app.put('/api/case-studies-focus-group/:id', authorize('PUT /api/case-studies-focus-group/:id'), requireIfMatch, validateBody(schemas.focusGroupEdit), async (req, res) => {
   try {
-    const { email } = req.params;
-    const users = await loadUsers();
-    const user = users.find(u => u.email === email);
-    
-    if (!user) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    const updateFields = req.body;
+    const focusGroupData = await focusGroupStore.all();
+    const originalKey = resolveOriginalKey(focusGroupData, req.params.id);
+    const revisions = originalKey ? revisionsOf(focusGroupData, originalKey) : [];
+    if (!revisions.length) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
     }
-    
-    res.json({
-      success: true,
+
+    if (hasPermission(req.user, 'focusGroup:edit')) {
+      const { revision, conflict } = await appendRevision(originalKey, req.user.username, current => ({
+        ...revisionContent(current[current.length - 1]),
+        ...revisionContent(updateFields)
+      }), req.ifMatch);
+      if (conflict) {
+        return sendVersionConflict(res, { ...conflict, revision: revisionNumber(conflict) });
+      }
+      if (!revision) {
+        return res.status(404).json({ success: false, message: 'Submission not found' });
+      }
+      publishSubmission('submission.edited', revision);
+      await auditRevision(req, 'focusGroupSubmission.edit', revision);
+      res.set('ETag', etagFor(revision));
+      return res.json({ success: true, message: 'Submission updated as a new revision', data: revision });
+    }
+
+    const original = revisions[0];
+    if (!can(req.user, 'focusGroup:update', original)) {
+      return res.status(403).json({ success: false, message: 'You can only edit your own submissions' });
+    }
+    if (revisions.length > 1) {
+      return res.status(403).json({ success: false, message: 'This submission has been edited by a facilitator' });
+    }
+    const session = original.sessionId && await sessionStore.get(original.sessionId);
+    if (session && session.state !== 'open') {
+      return res.status(403).json({ success: false, message: 'This focus group session is closed' });
+    }
+
+    if (!matchesVersion(original, req.ifMatch)) {
+      return sendVersionConflict(res, original);
+    }
+    const { record: updated, conflict } = await updateIfMatch(focusGroupStore, s => s.id === original.id, req.ifMatch, current => ({
+      ...current,
+      ...revisionContent(updateFields),
+      ...(Array.isArray(updateFields.cases) && {
+        cases: assignCaseIds(updateFields.cases).map(c => ({ ...c, group: session ? session.name : c.group }))
+      }),
+      id: current.id,
+      username: current.username,
+      email: current.email,
+      sessionId: current.sessionId,
+      submittedAt: current.submittedAt,
+      updatedAt: new Date().toISOString()
+    }));
+    if (conflict) {
+      return sendVersionConflict(res, conflict);
+    }
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
+    }
+    publishSubmission('submission.updated', updated);
+    await audit(req, { action: 'focusGroupSubmission.update', kind: 'update', targetType: 'focusGroupSubmission', targetId: original.id, before: original, after: updated });
+    res.set('ETag', etagFor(updated));
+    res.json({ success: true, message: 'Submission updated', data: updated });
+  } catch (error) {
+    console.error('Error updating focus group submission:', error);
+    res.status(500).json({ success: false, message: 'Failed to update focus group submission' });
+  }
+});
+
+// DELETE /api/case-studies-focus-group/:id - Delete a focus-group submission with all its revisions
+// and comments. Participants may only delete their own submission before a facilitator edited it.
+app.delete('/api/case-studies-focus-group/:id', authorize('DELETE /api/case-studies-focus-group/:id'), requireIfMatch, async (req, res) => {
+  try {
+    const focusGroupData = await focusGroupStore.all();
+    const originalKey = resolveOriginalKey(focusGroupData, req.params.id);
+    const revisions = originalKey ? revisionsOf(focusGroupData, originalKey) : [];
+    if (!revisions.length) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
+    }
+    if (!can(req.user, 'focusGroup:delete', revisions[0])) {
+      return res.status(403).json({ success: false, message: 'You can only delete your own submissions' });
+    }
+    if (!hasPermission(req.user, 'focusGroup:delete') && revisions.length > 1) {
+      return res.status(403).json({ success: false, message: 'This submission has been edited by a facilitator' });
+    }
+
+    // If-Match names the submission's current version, i.e. that of its latest revision
+    const { removed, conflict } = await focusGroupStore.mutate(records => {
+      const latest = revisionsOf(records, originalKey).pop();
+      if (latest && !matchesVersion(latest, req.ifMatch)) return { conflict: latest };
+      const kept = records.filter(s =>
+        !(submissionKey(s) === originalKey || (s.isEditedVersion && s.originalSubmissionId === originalKey))
+      );
+      const count = records.length - kept.length;
+      records.splice(0, records.length, ...kept);
+      return { removed: count };
+    });
+    if (conflict) {
+      return sendVersionConflict(res, { ...conflict, revision: revisionNumber(conflict) });
+    }
+    await commentStore.remove(c => c.targetType === 'focus-group-submission' && c.targetId === originalKey);
+    recordGroups(revisions[revisions.length - 1]).forEach(group => {
+      publishLive(group, 'submission.deleted', { submissionId: originalKey });
+    });
+    await audit(req, {
+      action: 'focusGroupSubmission.delete',
+      kind: 'delete',
+      targetType: 'focusGroupSubmission',
+      targetId: originalKey,
+      before: revisions[revisions.length - 1],
+      details: { removedRevisions: removed }
+    });
+    res.json({ success: true, message: 'Submission deleted', removedRevisions: removed });
+  } catch (error) {
+    console.error('Error deleting focus group submission:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete focus group submission' });
+  }
+});
+
+// Focus group sessions
+
+// Look up a session the caller may manage; sends the error response and resolves to null otherwise
+async function findManagedSession(req, res) {
+  const session = await sessionStore.get(req.params.id);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Focus group session not found' });
+    return null;
+  }
+  if (!can(req.user, 'sessions:manage', session)) {
+    res.status(403).json({ success: false, message: 'You do not facilitate this session' });
+    return null;
+  }
+  return session;
+}
+
+async function sessionNameTaken(name, exceptId) {
+  const normalized = name.trim().toLowerCase();
+  return Boolean(await sessionStore.find(s => s.id !== exceptId && s.name.trim().toLowerCase() === normalized));
+}
+
+// POST /api/focus-group-sessions - Create a focus group session (the creator facilitates it)
+app.post('/api/focus-group-sessions', authorize('POST /api/focus-group-sessions'), validateBody(schemas.session), async (req, res) => {
+  try {
+    const fields = req.body;
+    if (await sessionNameTaken(fields.name)) {
+      return res.status(409).json({ success: false, message: 'A session with this name already exists' });
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      name: fields.name.trim(),
+      facilitators: [...new Set([req.user.email, ...(fields.facilitators || [])])],
+      scheduledAt: fields.scheduledAt || null,
+      conceptCards: fields.conceptCards || [],
+      participants: [...new Set(fields.participants || [])],
+      joinCode: generateJoinCode(),
+      state: 'open',
+      createdBy: req.user.email,
+      createdAt: now,
+      updatedAt: now,
+      closedAt: null,
+      version: INITIAL_VERSION
+    };
+    await sessionStore.insert(session);
+    await audit(req, { action: 'focusGroupSession.create', kind: 'create', targetType: 'focusGroupSession', targetId: session.id, after: session });
+    res.set('ETag', etagFor(session));
+    res.status(201).json({ success: true, message: 'Session created', data: session });
+  } catch (error) {
+    console.error('Error creating session:', error);
+    res.status(500).json({ success: false, message: 'Failed to create session' });
+  }
+});
+
+// GET /api/focus-group-sessions/mine - Sessions the caller facilitates, with submission counts
+app.get('/api/focus-group-sessions/mine', authorize('GET /api/focus-group-sessions/mine'), async (req, res) => {
+  try {
+    const sessions = await sessionStore.filter(s => isSessionFacilitator(s, req.user));
+    const originals = await focusGroupStore.filter(s => !s.isEditedVersion);
+    const data = sessions
+      .map(session => ({
+        ...session,
+        participantCount: session.participants.length,
+        submissionCount: originals.filter(s => submissionInSession(s, session)).length
+      }))
+      .sort((a, b) => new Date(b.scheduledAt || b.createdAt) - new Date(a.scheduledAt || a.createdAt));
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ success: false, message: 'Failed to list sessions' });
+  }
+});
+
+// GET /api/focus-group-sessions/joined - Sessions the caller participates in
+app.get('/api/focus-group-sessions/joined', authorize('GET /api/focus-group-sessions/joined'), async (req, res) => {
+  try {
+    const sessions = await sessionStore.filter(s => isSessionParticipant(s, req.user));
+    const data = sessions.map(toParticipantView);
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ success: false, message: 'Failed to list sessions' });
+  }
+});
+
+// POST /api/focus-group-sessions/join - Join an open session with its join code. Someone
+// joining cannot see the session's version yet, so If-Match: * is what they send.
+app.post('/api/focus-group-sessions/join', authorize('POST /api/focus-group-sessions/join'), requireIfMatch, async (req, res) => {
+  try {
+    const joinCode = normalizeJoinCode(req.body?.joinCode);
+    const session = joinCode && await sessionStore.find(s => s.joinCode === joinCode);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'No session with this join code' });
+    }
+    if (session.state !== 'open') {
+      return res.status(403).json({ success: false, message: 'This focus group session is closed' });
+    }
+
+    const { record: updated, conflict } = await updateIfMatch(sessionStore, s => s.id === session.id, req.ifMatch, current => ({
+      ...current,
+      participants: [...new Set([...current.participants, req.user.email])],
+      updatedAt: new Date().toISOString()
+    }));
+    if (conflict) {
+      return res.status(409).json({ success: false, message: 'This session has been changed since; join again' });
+    }
+    await audit(req, { action: 'focusGroupSession.join', kind: 'update', targetType: 'focusGroupSession', targetId: session.id, before: session, after: updated });
+    res.json({ success: true, message: `Joined ${updated.name}`, data: toParticipantView(updated) });
+  } catch (error) {
+    console.error('Error joining session:', error);
+    res.status(500).json({ success: false, message: 'Failed to join session' });
+  }
+});
+
+// GET /api/focus-group-sessions/:id - A session (participants get a reduced view)
+app.get('/api/focus-group-sessions/:id', authorize('GET /api/focus-group-sessions/:id'), async (req, res) => {
+  try {
+    const session = await sessionStore.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Focus group session not found' });
+    }
+    if (can(req.user, 'sessions:manage', session)) {
+      res.set('ETag', etagFor(session));
+      return res.json({ success: true, data: session });
+    }
+    if (isSessionParticipant(session, req.user)) {
+      return res.json({ success: true, data: toParticipantView(session) });
+    }
+    res.status(403).json({ success: false, message: 'You are not part of this session' });
+  } catch (error) {
+    console.error('Error getting session:', error);
+    res.status(500).json({ success: false, message: 'Failed to get session' });
+  }
+});
+
+// PUT /api/focus-group-sessions/:id - Update name, date, concept cards, facilitators or roster
+app.put('/api/focus-group-sessions/:id', authorize('PUT /api/focus-group-sessions/:id'), requireIfMatch, validateBody(schemas.sessionUpdate), async (req, res) => {
+  try {
+    const session = await findManagedSession(req, res);
+    if (!session) return;
+    if (!matchesVersion(session, req.ifMatch)) {
+      return sendVersionConflict(res, session);
+    }
+
+    const fields = req.body;
+    if (fields.facilitators && !fields.facilitators.length) {
+      return res.status(400).json({ success: false, message: 'A session needs at least one facilitator' });
+    }
+
+    if (fields.name !== undefined && fields.name.trim() !== session.name) {
+      fields.name = fields.name.trim();
+      if (await sessionNameTaken(fields.name, session.id)) {
+        return res.status(409).json({ success: false, message: 'A session with this name already exists' });
+      }
+      // Cases are filed under the session name, so it is fixed once submissions exist
+      if (await focusGroupStore.find(s => submissionInSession(s, session))) {
+        return res.status(409).json({ success: false, message: 'A session with submissions cannot be renamed' });
+      }
+    }
+
+    const { record: updated, conflict } = await updateIfMatch(sessionStore, s => s.id === session.id, req.ifMatch, current => ({
+      ...current,
+      ...fields,
+      ...(fields.facilitators && { facilitators: [...new Set(fields.facilitators)] }),
+      ...(fields.participants && { participants: [...new Set(fields.participants)] }),
+      updatedAt: new Date().toISOString()
+    }));
+    if (conflict) {
+      return sendVersionConflict(res, conflict);
+    }
+    await audit(req, { action: 'focusGroupSession.update', kind: 'update', targetType: 'focusGroupSession', targetId: session.id, before: session, after: updated });
+    res.set('ETag', etagFor(updated));
+    res.json({ success: true, message: 'Session updated', data: updated });
+  } catch (error) {
+    console.error('Error updating session:', error);
+    res.status(500).json({ success: false, message: 'Failed to update session' });
+  }
+});
+
+// POST /api/focus-group-sessions/:id/open | close - Open or close a session for submissions
+['open', 'closed'].forEach(state => {
+  const route = `/api/focus-group-sessions/:id/${state === 'open' ? 'open' : 'close'}`;
+  app.post(route, authorize(`POST ${route}`), requireIfMatch, async (req, res) => {
+    try {
+      const session = await findManagedSession(req, res);
+      if (!session) return;
+
+      const { record: updated, conflict } = await updateIfMatch(sessionStore, s => s.id === session.id, req.ifMatch, current => ({
+        ...current,
+        state,
+        closedAt: state === 'closed' ? new Date().toISOString() : null,
+        updatedAt: new Date().toISOString()
+      }));
+      if (conflict) {
+        return sendVersionConflict(res, conflict);
+      }
+      publishLive(updated.name, 'session.state', { sessionId: updated.id, state: updated.state });
+      await audit(req, {
+        action: `focusGroupSession.${state === 'open' ? 'open' : 'close'}`,
+        kind: 'update',
+        targetType: 'focusGroupSession',
+        targetId: session.id,
+        before: session,
+        after: updated
+      });
+      res.set('ETag', etagFor(updated));
+      res.json({ success: true, message: `Session ${state}`, data: updated });
+    } catch (error) {
+      console.error('Error changing session state:', error);
+      res.status(500).json({ success: false, message: 'Failed to change session state' });
+    }
+  });
+});
+
+// POST /api/focus-group-sessions/:id/join-code - Issue a new join code (the old one stops working)
+app.post('/api/focus-group-sessions/:id/join-code', authorize('POST /api/focus-group-sessions/:id/join-code'), requireIfMatch, async (req, res) => {
+  try {
+    const session = await findManagedSession(req, res);
+    if (!session) return;
+
+    const { record: updated, conflict } = await updateIfMatch(sessionStore, s => s.id === session.id, req.ifMatch, current => ({
+      ...current,
+      joinCode: generateJoinCode(),
+      updatedAt: new Date().toISOString()
+    }));
+    if (conflict) {
+      return sendVersionConflict(res, conflict);
+    }
+    await audit(req, { action: 'focusGroupSession.joinCode', kind: 'update', targetType: 'focusGroupSession', targetId: session.id, before: session, after: updated });
+    res.set('ETag', etagFor(updated));
+    res.json({ success: true, message: 'Join code regenerated', data: updated });
+  } catch (error) {
+    console.error('Error regenerating join code:', error);
+    res.status(500).json({ success: false, message: 'Failed to regenerate join code' });
+  }
+});
+
+// Register endpoint
+app.post('/api/auth/register', throttleByIp(throttles.register), validateBody(schemas.register), async (req, res) => {
+  const { username, email, password } = req.body;
+  if (await userStore.find(u => u.email === email)) {
+    return res.status(400).json({ success: false, message: 'Email already registered' });
+  }
+  const passwordHash = await bcrypt.hash(password, 10);
+  const newUser = {
+    id: Date.now().toString(),
+    username,
+    email,
+    passwordHash,
+    role: DEFAULT_ROLE,
+    emailVerified: false,
+    createdAt: new Date().toISOString()
+  };
+  await userStore.insert(newUser);
+  await audit(req, { actor: newUser, action: 'user.register', kind: 'create', targetType: 'user', targetId: newUser.id, after: newUser });
+  await sendVerificationEmail(newUser);
+  res.json({ success: true, message: 'Registered successfully - check your email to confirm your address', username, email });
+});
+
+// Login endpoint
+app.post('/api/auth/login', validateBody(schemas.login), async (req, res) => {
+  console.log('Login attempt received:', { 
+    origin: req.headers.origin,
+    method: req.method,
+    body: redact(req.body)
+  });
+  
+  const { usernameOrEmail, password } = req.body;
+  
+  const user = await userStore.find(u => u.email === usernameOrEmail || u.username === usernameOrEmail);
+  // Unknown names are throttled like accounts, so the responses do not reveal which exist
+  const accountKey = user ? `user:${user.id}` : `unknown:${usernameOrEmail}`;
+  const ipKey = `ip:${req.ip}`;
+
+  for (const state of [await throttles.loginAccount.check(accountKey), await throttles.loginIp.check(ipKey)]) {
+    if (!state.allowed) return tooManyAttempts(res, state);
+  }
+
+  const match = user && await bcrypt.compare(password, user.passwordHash);
+  if (!match) {
+    console.log(user ? 'Password mismatch for user:' : 'User not found:', usernameOrEmail);
+    const account = await throttles.loginAccount.hit(accountKey);
+    await throttles.loginIp.hit(ipKey);
+    if (account.locked) {
+      console.warn(`Login locked for ${usernameOrEmail} after ${account.attempts} failed attempts (last from ${req.ip})`);
+    }
+    return res.status(401).json({ success: false, message: 'Invalid credentials' });
+  }
+  
+  console.log('Login successful for user:', user.username);
+  await throttles.loginAccount.reset(accountKey);
+  const tokens = await createAuthSession(user);
+  res.json({
+    success: true,
+    username: user.username,
+    email: user.email,
+    role: normalizeRole(user.role),
+    ...tokens
+  });
+});
+
+// Refresh endpoint - exchanges a refresh token for a new token pair (the old refresh token is rotated out)
+app.post('/api/auth/refresh', validateBody(schemas.refresh), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await authSessionStore.find(s => s.refreshTokenHash === tokenHash);
+  if (!session || new Date(session.expiresAt) <= new Date()) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+  }
+
+  const user = await userStore.get(session.userId);
+  if (!user) {
+    await authSessionStore.remove(s => s.id === session.id);
+    return res.status(401).json({ success: false, message: 'User no longer exists' });
+  }
+
+  // Matching on the old hash means a refresh token can only ever be rotated once
+  const newRefreshToken = generateRefreshToken();
+  const rotated = await authSessionStore.update(s => s.refreshTokenHash === tokenHash, current => ({
+    ...current,
+    refreshTokenHash: hashToken(newRefreshToken),
+    lastUsedAt: new Date().toISOString()
+  }));
+  if (!rotated) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+  }
+
+  res.json({
+    success: true,
+    accessToken: signAccessToken({ userId: user.id, sessionId: session.id }),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  });
+});
+
+// Logout endpoint - ends the current session so its tokens stop working
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  await authSessionStore.remove(s => s.id === req.authSessionId);
+  res.json({ success: true, message: 'Logged out successfully' });
+});
+
+// Current user endpoint
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ success: true, user: toPublicUser(req.user) });
+});
+
+// Verify email endpoint - confirms the address with the token from the verification email
+app.post('/api/auth/verify-email', blockedIp(throttles.linkToken), validateBody(schemas.linkToken), async (req, res) => {
+  const record = await consumeLinkToken(req.body.token, 'verify-email');
+  if (!record) {
+    await throttles.linkToken.hit(`ip:${req.ip}`);
+    return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired' });
+  }
+  const before = await userStore.get(record.userId);
+  const user = await userStore.update(u => u.id === record.userId, current => ({
+    ...current,
+    emailVerified: true,
+    emailVerifiedAt: new Date().toISOString()
+  }));
+  if (!user) {
+    return res.status(404).json({ success: false, message: 'User not found' });
+  }
+  await audit(req, { actor: user, action: 'user.verifyEmail', kind: 'account', targetType: 'user', targetId: user.id, before, after: user });
+  res.json({ success: true, message: 'Email address confirmed', user: toPublicUser(user) });
+});
+
+// Resend verification endpoint - sends a new verification email to the caller
+app.post('/api/auth/resend-verification', requireAuth, async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({ success: false, message: 'Your email address is already confirmed' });
+  }
+  const state = await throttles.accountEmail.check(`user:${req.user.id}`);
+  if (!state.allowed) return tooManyAttempts(res, state);
+  await throttles.accountEmail.hit(`user:${req.user.id}`);
+  await sendVerificationEmail(req.user);
+  res.json({ success: true, message: 'Verification email sent' });
+});
+
+// Forgot password endpoint - emails a reset link. The response is the same whether or not
+// the address is registered, so it cannot be used to find out who has an account.
+app.post('/api/auth/forgot-password', throttleByIp(throttles.accountEmailIp), validateBody(schemas.forgotPassword), async (req, res) => {
+  const user = await userStore.find(u => u.email === req.body.email);
+  // Past the per-address limit nothing more is sent, but the response stays the same
+  const addressKey = `email:${req.body.email}`;
+  const { allowed } = await throttles.accountEmail.check(addressKey);
+  if (allowed) await throttles.accountEmail.hit(addressKey);
+  if (user && allowed) {
+    const token = await issueLinkToken(user, 'reset-password', PASSWORD_RESET_TTL_SECONDS);
+    await sendMail(passwordResetEmail(user, token, PASSWORD_RESET_TTL_SECONDS));
+  }
+  res.json({ success: true, message: 'If that address is registered, a password reset link is on its way' });
+});
+
+// Reset password endpoint - sets a new password with the token from the reset email and
+// signs the user out everywhere
+app.post('/api/auth/reset-password', blockedIp(throttles.linkToken), validateBody(schemas.resetPassword), async (req, res) => {
+  const record = await consumeLinkToken(req.body.token, 'reset-password');
+  if (!record) {
+    await throttles.linkToken.hit(`ip:${req.ip}`);
+    return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' });
+  }
+  const passwordHash = await bcrypt.hash(req.body.password, 10);
+  const before = await userStore.get(record.userId);
+  const user = await userStore.update(u => u.id === record.userId, current => ({
+    ...current,
+    passwordHash,
+    passwordChangedAt: new Date().toISOString(),
+    // The reset link reached the inbox, which confirms the address as well
+    emailVerified: true,
+    emailVerifiedAt: current.emailVerifiedAt || new Date().toISOString()
+  }));
+  if (!user) {
+    return res.status(404).json({ success: false, message: 'User not found' });
+  }
+  await authSessionStore.remove(s => s.userId === user.id);
+  // Whoever holds the inbox owns the account, so a reset also ends a login lockout
+  await throttles.loginAccount.reset(`user:${user.id}`);
+  await audit(req, { actor: user, action: 'user.resetPassword', kind: 'account', targetType: 'user', targetId: user.id, before, after: user });
+  await sendMail(passwordChangedEmail(user));
+  res.json({ success: true, message: 'Password reset - please log in with your new password' });
+});
+
+// Change password endpoint - needs the current password; other sessions are signed out
+app.post('/api/auth/change-password', requireAuth, validateBody(schemas.changePassword), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!(await bcrypt.compare(currentPassword, req.user.passwordHash))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request body',
+      errors: [{ field: 'currentPassword', message: 'is not your current password' }]
+    });
+  }
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+  const updated = await userStore.update(u => u.id === req.user.id, current => ({
+    ...current,
+    passwordHash,
+    passwordChangedAt: new Date().toISOString()
+  }));
+  await authSessionStore.remove(s => s.userId === req.user.id && s.id !== req.authSessionId);
+  await audit(req, { action: 'user.changePassword', kind: 'account', targetType: 'user', targetId: req.user.id, before: req.user, after: updated });
+  await sendMail(passwordChangedEmail(req.user));
+  res.json({ success: true, message: 'Password changed' });
+});
+
+// Update user profile endpoint
+app.post('/api/auth/update-profile', authorize('POST /api/auth/update-profile'), validateBody(schemas.updateProfile), async (req, res) => {
+  try {
+    const { username, school, country, city, avatar } = req.body;
+    
+    // Always update the caller's own profile, never one named in the body
+    // Update user profile data (email cannot be changed)
+    const updatedUser = await userStore.update(u => u.id === req.user.id, current => ({
+      ...current,
+      username: username || current.username,
+      school: school || null,
+      country: country || null,
+      city: city || null,
+      avatar: avatar || 'default',
+      updatedAt: new Date().toISOString()
+    }));
+    
+    if (!updatedUser) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    await audit(req, { action: 'user.updateProfile', kind: 'update', targetType: 'user', targetId: req.user.id, before: req.user, after: updatedUser });
+    
+    res.json({ 
+      success: true, 
+      message: 'Profile updated successfully',
+      user: {
+        username: updatedUser.username,
+        email: updatedUser.email, // Keep original email
+        role: normalizeRole(updatedUser.role),
+        school: updatedUser.school,
+        country: updatedUser.country,
+        city: updatedUser.city,
+        avatar: updatedUser.avatar
+      }
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ success: false, message: 'Failed to update profile' });
+  }
+});
+
+// Get user profile endpoint
+app.get('/api/auth/profile/:email', authorize('GET /api/auth/profile/:email'), async (req, res) => {
+  try {
+    const { email } = req.params;
+    if (!can(req.user, 'profile:read', { email })) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
+    }
+    const user = await userStore.find(u => u.email === email);
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
       user: {
         username: user.username,
         email: user.email,
-        role: user.role || 'user',
+        role: normalizeRole(user.role),
         school: user.school || null,
         country: user.country || null,
         city: user.city || null,
@@ -462,28 +1657,39 @@ app.get('/api/auth/profile/:email', async (req, res) => {
 });
 
 // Get all users endpoint (for admin purposes)
-app.get('/api/users', async (req, res) => {
+// (search, filters, sorting and cursor paging: ?q=&role=&country=&school=&emailVerified=&consent=&from=&to=&sort=&limit=&cursor=)
+app.get('/api/users', authorize('GET /api/users'), listQuery('users'), async (req, res) => {
   try {
-    const users = await loadUsers();
+    const users = await userStore.all();
+    const now = new Date();
+    const lockouts = new Map((await throttleStore.filter(t => t.throttle === 'loginAccount' && t.locked && new Date(t.blockedUntil) > now))
+      .map(t => [t.key, t.blockedUntil]));
+    const consentDocuments = await consentDocumentStore.all();
     
     // Return user data without sensitive information like password hashes
     const safeUsers = users.map(user => ({
       id: user.id,
       username: user.username,
       email: user.email,
-      role: user.role || 'user',
+      role: normalizeRole(user.role),
+      emailVerified: Boolean(user.emailVerified),
       school: user.school || null,
       country: user.country || null,
       city: user.city || null,
       avatar: user.avatar || 'default',
       createdAt: user.createdAt,
-      updatedAt: user.updatedAt || null
+      updatedAt: user.updatedAt || null,
+      lockedUntil: lockouts.get(`user:${user.id}`) || null,
+      consentStatus: consentStatus(user, consentDocuments)
     }));
+    const { data, total, nextCursor } = await queryRecords(safeUsers, 'users', req.listQuery);
     
     res.json({
       success: true,
-      count: safeUsers.length,
-      users: safeUsers
+      count: data.length,
+      total,
+      nextCursor,
+      users: data
     });
   } catch (error) {
     console.error('Error getting users:', error);
@@ -491,171 +1697,792 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
+// POST /api/users/:id/unlock - Lift a login lockout (and any login backoff) on an account
+app.post('/api/users/:id/unlock', authorize('POST /api/users/:id/unlock'), async (req, res) => {
+  try {
+    const user = await userStore.get(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const status = await throttles.loginAccount.status(`user:${user.id}`);
+    const wasLocked = Boolean(status && status.locked && new Date(status.blockedUntil) > new Date());
+    await throttles.loginAccount.reset(`user:${user.id}`);
+    await audit(req, { action: 'user.unlock', kind: 'account', targetType: 'user', targetId: user.id, details: { wasLocked } });
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked; failed login attempts cleared',
+      wasLocked,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ success: false, message: 'Failed to unlock user' });
+  }
+});
+
+// PUT /api/admin/users/:id/role - Grant a role to a user
+app.put('/api/admin/users/:id/role', authorize('PUT /api/admin/users/:id/role'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (id === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    const previous = await userStore.get(id);
+    const updatedUser = await userStore.update(u => u.id === id, current => ({
+      ...current,
+      role,
+      roleUpdatedBy: req.user.email,
+      roleUpdatedAt: new Date().toISOString()
+    }));
+    if (!updatedUser) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    await audit(req, { action: 'role.grant', kind: 'role', targetType: 'user', targetId: id, before: previous, after: updatedUser });
+
+    res.json({ success: true, message: `Role ${role} granted`, user: toPublicUser(updatedUser) });
+  } catch (error) {
+    console.error('Error granting role:', error);
+    res.status(500).json({ success: false, message: 'Failed to update role' });
+  }
+});
 
-// Endpoint to save edited submissions (creates new files instead of updating)
-app.post('/api/save-edited-submission', async (req, res) => {
+// DELETE /api/admin/users/:id/role - Revoke a user's role (back to participant)
+app.delete('/api/admin/users/:id/role', authorize('DELETE /api/admin/users/:id/role'), async (req, res) => {
   try {
-    const { originalSubmissionId, editedData, facilitatorComment, editedBy } = req.body;
+    const { id } = req.params;
+    if (id === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    const previous = await userStore.get(id);
+    const updatedUser = await userStore.update(u => u.id === id, current => ({
+      ...current,
+      role: DEFAULT_ROLE,
+      roleUpdatedBy: req.user.email,
+      roleUpdatedAt: new Date().toISOString()
+    }));
+    if (!updatedUser) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    await audit(req, { action: 'role.revoke', kind: 'role', targetType: 'user', targetId: id, before: previous, after: updatedUser });
+
+    res.json({ success: true, message: 'Role revoked', user: toPublicUser(updatedUser) });
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    res.status(500).json({ success: false, message: 'Failed to update role' });
+  }
+});
+
+
+// Append a new revision of a focus-group submission. key may name the original
+// or any of its revisions; build(revisions) returns the new revision's content, or null
+// to abort. The submission's version is that of its latest revision, and ifMatch (from
+// requireIfMatch) must accept it. Resolves to { revision } when saved, { conflict: latest
+// revision } when the submission has moved on, or {} when nothing was saved.
+async function appendRevision(key, editedBy, build, ifMatch) {
+  return focusGroupStore.mutate(focusGroupData => {
+    const originalKey = resolveOriginalKey(focusGroupData, key);
+    const revisions = originalKey ? revisionsOf(focusGroupData, originalKey) : [];
+    const latest = revisions[revisions.length - 1];
+    if (latest && !matchesVersion(latest, ifMatch)) return { conflict: latest };
+    const content = revisions.length ? build(revisions) : null;
+    if (!content) return {};
     
-    // Load existing data
-    const focusGroupData = JSON.parse(await fs.readFile(FOCUS_GROUP_FILE, 'utf8'));
+    const now = new Date().toISOString();
+    const revision = {
+      ...content,
+      ...(content.cases && { cases: assignCaseIds(content.cases) }),
+      id: crypto.randomUUID(),
+      submittedAt: now,
+      isEditedVersion: true,
+      originalSubmissionId: originalKey,
+      revision: revisionNumber(revisions[revisions.length - 1]) + 1,
+      editedBy,
+      editTimestamp: now,
+      version: versionOf(latest) + 1
+    };
+    focusGroupData.push(revision);
+    return { revision };
+  });
+}
+
+// Audit a new revision of a focus-group submission against the revision before it
+async function auditRevision(req, action, revision, details = {}) {
+  const { revisions } = await findRevisions(revision.originalSubmissionId);
+  const previous = revisions[revisions.findIndex(r => r.id === revision.id) - 1];
+  await audit(req, {
+    action,
+    kind: 'update',
+    targetType: 'focusGroupSubmission',
+    targetId: revision.originalSubmissionId,
+    before: previous ? revisionContent(previous) : null,
+    after: revisionContent(revision),
+    details: { revision: revision.revision, revisionId: revision.id, ...details }
+  });
+}
+
+// Endpoint to save edited submissions - every edit is kept as a new revision of the original
+app.post('/api/save-edited-submission', authorize('POST /api/save-edited-submission'), requireIfMatch, validateBody(schemas.savedEdit), async (req, res) => {
+  try {
+    const { originalSubmissionId, editedData, facilitatorComment } = req.body;
+    const editedBy = req.user.username;
+    const hasComment = typeof facilitatorComment === 'string' && facilitatorComment.trim();
     
-    // Find the original submission
-    const originalSubmission = focusGroupData.find(sub => 
-      `${sub.username}|${sub.email}|${sub.submittedAt}` === originalSubmissionId
-    );
+    // Apply the edits on top of the latest revision. The facilitator comment is part of
+    // the revision itself, so it is written to disk together with the edit.
+    const { revision: newSubmission, conflict } = await appendRevision(originalSubmissionId, editedBy, revisions => ({
+      ...revisionContent(revisions[revisions.length - 1]),
+      ...editedData,
+      ...(hasComment && {
+        facilitatorComment,
+        facilitatorCommentTimestamp: new Date().toISOString(),
+        facilitatorCommentBy: editedBy
+      })
+    }), req.ifMatch);
     
-    if (!originalSubmission) {
+    if (conflict) {
+      return sendVersionConflict(res, { ...conflict, revision: revisionNumber(conflict) });
+    }
+    if (!newSubmission) {
       return res.status(404).json({ success: false, message: 'Original submission not found' });
     }
+    publishSubmission('submission.edited', newSubmission);
     
-    // Check if an edited version already exists for this submission
-    const existingEditedVersion = focusGroupData.find(sub => 
-      sub.isEditedVersion && sub.originalSubmissionId === originalSubmissionId
-    );
+    // Also start a comment thread on the submission so the note can be discussed
+    if (hasComment) {
+      const comment = await commentStore.insert(newComment({
+        targetType: 'focus-group-submission',
+        targetId: newSubmission.originalSubmissionId,
+        revision: newSubmission.revision,
+        body: facilitatorComment.trim()
+      }, req.user));
+      await publishComment('comment.created', comment);
+    }
     
-    // Also check if the submission being edited is itself an edited version
-    const isEditingEditedVersion = focusGroupData.find(sub => 
-      sub.isEditedVersion && `${sub.username}|${sub.email}|${sub.submittedAt}` === originalSubmissionId
-    );
+    await auditRevision(req, 'focusGroupSubmission.edit', newSubmission, hasComment ? { facilitatorComment: facilitatorComment.trim() } : {});
     
-    let newSubmission;
-    let isNewVersion = false;
+    res.set('ETag', etagFor(newSubmission));
+    res.json({ 
+      success: true, 
+      message: 'Edited submission saved successfully',
+      newSubmissionId: newSubmission.id,
+      revision: newSubmission.revision,
+      version: newSubmission.version,
+      isNewVersion: true
+    });
     
-    if (existingEditedVersion) {
-      // Update the existing edited version
-      newSubmission = {
-        ...originalSubmission, // Start with original structure
-        ...existingEditedVersion, // Keep existing edit metadata
-        ...editedData, // Apply new edits
-        editTimestamp: new Date().toISOString(),
-        editedBy: editedBy || 'unknown'
-      };
-      
-      // Replace the existing edited version
-      const existingIndex = focusGroupData.findIndex(sub => 
-        sub.isEditedVersion && sub.originalSubmissionId === originalSubmissionId
-      );
-      focusGroupData[existingIndex] = newSubmission;
-    } else if (isEditingEditedVersion) {
-      // We're editing an already edited version, so update it in place
-      newSubmission = {
-        ...isEditingEditedVersion, // Keep existing structure
-        ...editedData, // Apply new edits
-        editTimestamp: new Date().toISOString(),
-        editedBy: editedBy || 'unknown'
-      };
-      
-      // Replace the edited version in place
-      const existingIndex = focusGroupData.findIndex(sub => 
-        sub.isEditedVersion && `${sub.username}|${sub.email}|${sub.submittedAt}` === originalSubmissionId
-      );
-      focusGroupData[existingIndex] = newSubmission;
-    } else {
-      // Create new edited version
-      newSubmission = {
-        ...originalSubmission, // Maintain original structure
-        ...editedData, // Apply edits
-        submittedAt: new Date().toISOString(),
-        isEditedVersion: true,
-        originalSubmissionId: originalSubmissionId,
-        editedBy: editedBy || 'unknown',
-        editTimestamp: new Date().toISOString()
-      };
-      
-      // Add to the data
-      focusGroupData.push(newSubmission);
-      isNewVersion = true;
+  } catch (error) {
+    console.error('Error saving edited submission:', error);
+    res.status(500).json({ success: false, message: 'Failed to save edited submission' });
+  }
+});
+
+// Find the revisions of a focus-group submission from a key in the URL
+async function findRevisions(key) {
+  const focusGroupData = await focusGroupStore.all();
+  const originalKey = resolveOriginalKey(focusGroupData, key);
+  return {
+    originalKey,
+    revisions: originalKey ? revisionsOf(focusGroupData, originalKey) : []
+  };
+}
+
+// GET /api/case-studies-focus-group/:id/revisions - List every revision of a submission
+app.get('/api/case-studies-focus-group/:id/revisions', authorize('GET /api/case-studies-focus-group/:id/revisions'), async (req, res) => {
+  try {
+    const { originalKey, revisions } = await findRevisions(req.params.id);
+    if (!revisions.length) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
+    }
+    res.json({
+      success: true,
+      originalSubmissionId: originalKey,
+      data: revisions.map(revisionSummary),
+      count: revisions.length
+    });
+  } catch (error) {
+    console.error('Error listing revisions:', error);
+    res.status(500).json({ success: false, message: 'Failed to list revisions' });
+  }
+});
+
+// GET /api/case-studies-focus-group/:id/revisions/:revision - Fetch one revision
+app.get('/api/case-studies-focus-group/:id/revisions/:revision', authorize('GET /api/case-studies-focus-group/:id/revisions/:revision'), async (req, res) => {
+  try {
+    const { revisions } = await findRevisions(req.params.id);
+    const revision = revisions.find(r => revisionNumber(r) === Number(req.params.revision));
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+    res.json({ success: true, data: { ...revision, revision: revisionNumber(revision) } });
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch revision' });
+  }
+});
+
+// GET /api/case-studies-focus-group/:id/diff?from=0&to=2 - Field-level diff between two revisions
+// (defaults to the original against the latest revision)
+app.get('/api/case-studies-focus-group/:id/diff', authorize('GET /api/case-studies-focus-group/:id/diff'), async (req, res) => {
+  try {
+    const { revisions } = await findRevisions(req.params.id);
+    if (!revisions.length) {
+      return res.status(404).json({ success: false, message: 'Submission not found' });
+    }
+    const fromNumber = req.query.from !== undefined ? Number(req.query.from) : revisionNumber(revisions[0]);
+    const toNumber = req.query.to !== undefined ? Number(req.query.to) : revisionNumber(revisions[revisions.length - 1]);
+    const from = revisions.find(r => revisionNumber(r) === fromNumber);
+    const to = revisions.find(r => revisionNumber(r) === toNumber);
+    if (!from || !to) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+    res.json({ success: true, data: diffRevisions(from, to) });
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ success: false, message: 'Failed to diff revisions' });
+  }
+});
+
+// POST /api/case-studies-focus-group/:id/restore - Make an older revision current again
+// (stored as a new revision, so nothing in the history is ever overwritten)
+app.post('/api/case-studies-focus-group/:id/restore', authorize('POST /api/case-studies-focus-group/:id/restore'), requireIfMatch, async (req, res) => {
+  try {
+    const revisionToRestore = Number(req.body?.revision);
+    if (!Number.isInteger(revisionToRestore)) {
+      return res.status(400).json({ success: false, message: 'Revision number required' });
     }
     
-    // Save updated data
-    await fs.writeFile(FOCUS_GROUP_FILE, JSON.stringify(focusGroupData, null, 2));
-    
-    // Add facilitator comment if provided
-    if (facilitatorComment && facilitatorComment.trim()) {
-      // Add facilitator comment directly to the edited submission
-      newSubmission.facilitatorComment = facilitatorComment;
-      newSubmission.facilitatorCommentTimestamp = new Date().toISOString();
-      newSubmission.facilitatorCommentBy = editedBy || 'unknown';
+    const { revision: restored, conflict } = await appendRevision(req.params.id, req.user.username, revisions => {
+      const target = revisions.find(r => revisionNumber(r) === revisionToRestore);
+      return target ? { ...revisionContent(target), restoredFromRevision: revisionToRestore } : null;
+    }, req.ifMatch);
+    if (conflict) {
+      return sendVersionConflict(res, { ...conflict, revision: revisionNumber(conflict) });
+    }
+    if (!restored) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
     }
+    publishSubmission('submission.edited', restored);
+    await auditRevision(req, 'focusGroupSubmission.restore', restored, { restoredFromRevision: revisionToRestore });
     
-    res.json({ 
-      success: true, 
-      message: isNewVersion ? 'Edited submission saved successfully' : 'Edited submission updated successfully',
-      newSubmissionId: newSubmission.submittedAt,
-      isNewVersion: isNewVersion
+    res.set('ETag', etagFor(restored));
+    res.json({
+      success: true,
+      message: `Revision ${revisionToRestore} restored`,
+      data: restored
     });
-    
   } catch (error) {
-    console.error('Error saving edited submission:', error);
-    res.status(500).json({ success: false, message: 'Failed to save edited submission' });
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore revision' });
+  }
+});
+
+// Comments
+
+// Resolve the record a comment is attached to. Focus-group comments attach to the original
+// submission (whatever revision key was given), so they follow it through every revision.
+async function findCommentTarget(targetType, targetId) {
+  if (targetType === 'case-study') {
+    const caseStudy = await caseStudyStore.get(targetId);
+    return caseStudy ? { targetId: caseStudy.id, record: caseStudy } : null;
+  }
+  const focusGroupData = await focusGroupStore.all();
+  const originalKey = resolveOriginalKey(focusGroupData, targetId);
+  const revisions = originalKey ? revisionsOf(focusGroupData, originalKey) : [];
+  return revisions.length ? { targetId: originalKey, record: revisions[revisions.length - 1] } : null;
+}
+
+function newComment({ targetType, targetId, caseId = null, caseIndex = null, parentId = null, revision = null, body }, user) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    targetType,
+    targetId,
+    caseId,
+    caseIndex,
+    parentId,
+    revision,
+    author: user.email,
+    authorName: user.username,
+    body,
+    createdAt: now,
+    updatedAt: now,
+    resolved: false,
+    resolvedBy: null,
+    resolvedAt: null,
+    deleted: false,
+    version: INITIAL_VERSION
+  };
+}
+
+// GET /api/comments?targetType=&targetId=&caseId= - Comment threads on a submission (or one of its cases)
+app.get('/api/comments', authorize('GET /api/comments'), async (req, res) => {
+  try {
+    const { targetType, targetId, caseId, caseIndex } = req.query;
+    if (!COMMENT_TARGET_TYPES.includes(targetType) || !targetId) {
+      return res.status(400).json({ success: false, message: `targetType (${COMMENT_TARGET_TYPES.join(', ')}) and targetId are required` });
+    }
+    const target = await findCommentTarget(targetType, targetId);
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Comment target not found' });
+    }
+    if (!can(req.user, 'comments:read', target.record)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
+    }
+
+    const comments = await commentStore.filter(c =>
+      c.targetType === targetType &&
+      c.targetId === target.targetId &&
+      (caseId === undefined || c.caseId === caseId) &&
+      (caseIndex === undefined || c.caseIndex === Number(caseIndex))
+    );
+    const threads = buildThreads(comments);
+    res.json({ success: true, data: threads, count: comments.length });
+  } catch (error) {
+    console.error('Error listing comments:', error);
+    res.status(500).json({ success: false, message: 'Failed to list comments' });
+  }
+});
+
+// POST /api/comments - Comment on a submission, one of its cases, or reply to a comment
+app.post('/api/comments', authorize('POST /api/comments'), validateBody(schemas.comment), async (req, res) => {
+  try {
+    const { targetType, targetId, caseId, caseIndex, parentId, body } = req.body;
+
+    const target = await findCommentTarget(targetType, targetId);
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'Comment target not found' });
+    }
+    if (!can(req.user, 'comments:create', target.record)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
+    }
+
+    // A comment on a single case names it by caseId (or, for cases without ids, caseIndex)
+    const targetCases = target.record.cases || [];
+    let commentCaseIndex = null;
+    if (caseId !== undefined && caseId !== null) {
+      commentCaseIndex = targetCases.findIndex(c => c.id === caseId);
+    } else if (caseIndex !== undefined && caseIndex !== null) {
+      commentCaseIndex = Number.isInteger(Number(caseIndex)) && targetCases[Number(caseIndex)] ? Number(caseIndex) : -1;
+    }
+    if (commentCaseIndex === -1) {
+      return res.status(400).json({ success: false, message: 'The case does not exist in this submission' });
+    }
+    let commentCaseId = commentCaseIndex === null ? null : targetCases[commentCaseIndex].id || null;
+
+    // Replies belong to the same target (and case) as the comment they answer
+    if (parentId) {
+      const parent = await commentStore.get(parentId);
+      if (!parent || parent.targetType !== targetType || parent.targetId !== target.targetId) {
+        return res.status(400).json({ success: false, message: 'Parent comment not found on this target' });
+      }
+      commentCaseIndex = parent.caseIndex;
+      commentCaseId = parent.caseId || null;
+    }
+
+    const comment = newComment({
+      targetType,
+      targetId: target.targetId,
+      caseId: commentCaseId,
+      caseIndex: commentCaseIndex,
+      parentId: parentId || null,
+      revision: targetType === 'focus-group-submission' ? revisionNumber(target.record) : null,
+      body: body.trim()
+    }, req.user);
+    await commentStore.insert(comment);
+    await publishComment('comment.created', comment);
+    await audit(req, { action: 'comment.create', kind: 'create', targetType: 'comment', targetId: comment.id, after: comment });
+
+    res.status(201).json({ success: true, message: 'Comment added', data: comment });
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({ success: false, message: 'Failed to add comment' });
+  }
+});
+
+// PUT /api/comments/:id - Edit your own comment
+app.put('/api/comments/:id', authorize('PUT /api/comments/:id'), requireIfMatch, validateBody(schemas.commentUpdate), async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    const comment = await commentStore.get(req.params.id);
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    if (!can(req.user, 'comments:update', comment)) {
+      return res.status(403).json({ success: false, message: 'You can only edit your own comments' });
+    }
+
+    const { record: updated, conflict } = await updateIfMatch(commentStore, c => c.id === comment.id, req.ifMatch, current => ({
+      ...current,
+      body: body.trim(),
+      updatedAt: new Date().toISOString()
+    }));
+    if (conflict) {
+      return sendVersionConflict(res, conflict);
+    }
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    await publishComment('comment.updated', updated);
+    await audit(req, { action: 'comment.update', kind: 'update', targetType: 'comment', targetId: comment.id, before: comment, after: updated });
+    res.set('ETag', etagFor(updated));
+    res.json({ success: true, message: 'Comment updated', data: updated });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ success: false, message: 'Failed to update comment' });
+  }
+});
+
+// DELETE /api/comments/:id - Delete a comment (kept as a placeholder if it has replies)
+app.delete('/api/comments/:id', authorize('DELETE /api/comments/:id'), requireIfMatch, async (req, res) => {
+  try {
+    const comment = await commentStore.get(req.params.id);
+    if (!comment || comment.deleted) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    if (!can(req.user, 'comments:delete', comment)) {
+      return res.status(403).json({ success: false, message: 'You can only delete your own comments' });
+    }
+
+    const hasReplies = await commentStore.find(c => c.parentId === comment.id);
+    const { conflict } = hasReplies
+      ? await updateIfMatch(commentStore, c => c.id === comment.id, req.ifMatch, current => ({
+        ...current,
+        deleted: true,
+        deletedBy: req.user.email,
+        updatedAt: new Date().toISOString()
+      }))
+      : await removeIfMatch(commentStore, c => c.id === comment.id, req.ifMatch);
+    if (conflict) {
+      return sendVersionConflict(res, conflict);
+    }
+    await publishComment('comment.deleted', { ...comment, deleted: true });
+    await audit(req, { action: 'comment.delete', kind: 'delete', targetType: 'comment', targetId: comment.id, before: comment, details: { keptAsPlaceholder: Boolean(hasReplies) } });
+    res.json({ success: true, message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete comment' });
+  }
+});
+
+// POST /api/comments/:id/resolve - Resolve (or with { resolved: false } reopen) a comment thread
+app.post('/api/comments/:id/resolve', authorize('POST /api/comments/:id/resolve'), requireIfMatch, async (req, res) => {
+  try {
+    const resolved = req.body?.resolved !== false;
+    const comment = await commentStore.get(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    if (comment.parentId) {
+      return res.status(400).json({ success: false, message: 'Only a top-level comment can resolve its thread' });
+    }
+    const target = await findCommentTarget(comment.targetType, comment.targetId);
+    if (!can(req.user, 'comments:resolve', target ? target.record : null) && comment.author !== req.user.email) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
+    }
+
+    const { record: updated, conflict } = await updateIfMatch(commentStore, c => c.id === comment.id, req.ifMatch, current => ({
+      ...current,
+      resolved,
+      resolvedBy: resolved ? req.user.email : null,
+      resolvedAt: resolved ? new Date().toISOString() : null,
+      updatedAt: new Date().toISOString()
+    }));
+    if (conflict) {
+      return sendVersionConflict(res, toPublicComment(conflict));
+    }
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+    await publishComment('comment.resolved', updated);
+    await audit(req, { action: resolved ? 'comment.resolve' : 'comment.reopen', kind: 'update', targetType: 'comment', targetId: comment.id, before: comment, after: updated });
+    res.set('ETag', etagFor(updated));
+    res.json({ success: true, message: resolved ? 'Thread resolved' : 'Thread reopened', data: toPublicComment(updated) });
+  } catch (error) {
+    console.error('Error resolving comment:', error);
+    res.status(500).json({ success: false, message: 'Failed to resolve comment' });
+  }
+});
+
+// Taxonomy - the managed list of values and tensions (see lib/taxonomy.js)
+
+// Add the labels in new submissions that nobody has used before as user-contributed entries
+async function recordContributions(records) {
+  await taxonomyStore.mutate(entries => addContributions(entries, records));
+}
+
+// The first label (of an entry's label and synonyms) already used by another entry of the kind
+function takenLabel(entries, kind, labels, exceptId) {
+  const index = buildLabelIndex(entries.filter(e => e.id !== exceptId && e.mergedInto !== exceptId), kind);
+  return labels.find(label => resolveLabel(index, label)) || null;
+}
+
+// GET /api/taxonomy?kind=value|tension - Current values and tensions for the frontend
+app.get('/api/taxonomy', async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind && !isTaxonomyKind(kind)) {
+      return res.status(400).json({ success: false, message: 'kind must be "value" or "tension"' });
+    }
+    const entries = (await taxonomyStore.filter(e => !e.mergedInto && (!kind || e.kind === kind)))
+      .sort((a, b) => Number(b.predefined) - Number(a.predefined) || a.label.localeCompare(b.label))
+      .map(toPublicEntry);
+    res.json({
+      success: true,
+      data: {
+        values: entries.filter(e => e.kind === 'value'),
+        tensions: entries.filter(e => e.kind === 'tension')
+      },
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error loading taxonomy:', error);
+    res.status(500).json({ success: false, message: 'Failed to load taxonomy' });
+  }
+});
+
+// GET /api/taxonomy/usage?kind=value|tension - How many submissions use each label, to find
+// popular custom labels worth promoting
+app.get('/api/taxonomy/usage', authorize('GET /api/taxonomy/usage'), async (req, res) => {
+  try {
+    const kind = req.query.kind || 'tension';
+    if (!isTaxonomyKind(kind)) {
+      return res.status(400).json({ success: false, message: 'kind must be "value" or "tension"' });
+    }
+    const records = [
+      ...await caseStudyStore.all(),
+      ...currentRevisions(await focusGroupStore.all())
+    ];
+    const usage = countUsage(records, await taxonomyStore.all(), kind);
+    res.json({ success: true, data: usage, count: usage.length });
+  } catch (error) {
+    console.error('Error counting taxonomy usage:', error);
+    res.status(500).json({ success: false, message: 'Failed to count taxonomy usage' });
+  }
+});
+
+// POST /api/taxonomy - Add a value or tension
+app.post('/api/taxonomy', authorize('POST /api/taxonomy'), validateBody(schemas.taxonomyEntry), async (req, res) => {
+  try {
+    const { kind, predefined = true, ...fields } = req.body;
+    const entry = await taxonomyStore.mutate(entries => {
+      if (takenLabel(entries, kind, [fields.label, ...(fields.synonyms || [])])) return null;
+      const created = newTaxonomyEntry(kind, fields, { predefined, createdBy: req.user.email });
+      entries.push(created);
+      return created;
+    });
+    if (!entry) {
+      return res.status(409).json({ success: false, message: `A ${kind} with this label or synonym already exists` });
+    }
+    await audit(req, { action: 'taxonomy.create', kind: 'create', targetType: 'taxonomyEntry', targetId: entry.id, after: entry });
+    res.set('ETag', etagFor(entry));
+    res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    console.error('Error creating taxonomy entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to create taxonomy entry' });
+  }
+});
+
+// PUT /api/taxonomy/:id - Change an entry's label, definition, category, synonyms or predefined flag
+app.put('/api/taxonomy/:id', authorize('PUT /api/taxonomy/:id'), requireIfMatch, validateBody(schemas.taxonomyEntryUpdate), async (req, res) => {
+  try {
+    const fields = req.body;
+    const result = await taxonomyStore.mutate(entries => {
+      const index = entries.findIndex(e => e.id === req.params.id);
+      if (index === -1) return { status: 404, message: 'Taxonomy entry not found' };
+      const entry = entries[index];
+      if (entry.mergedInto) return { status: 409, message: 'This entry has been merged into another one' };
+      if (!matchesVersion(entry, req.ifMatch)) return { conflict: entry };
+
+      const label = fields.label !== undefined ? fields.label.trim() : entry.label;
+      const synonyms = fields.synonyms !== undefined ? fields.synonyms.map(s => s.trim()).filter(Boolean) : entry.synonyms;
+      if (takenLabel(entries, entry.kind, [label, ...synonyms], entry.id)) {
+        return { status: 409, message: `A ${entry.kind} with this label or synonym already exists` };
+      }
+      entries[index] = {
+        ...entry,
+        ...fields,
+        label,
+        synonyms,
+        updatedAt: new Date().toISOString(),
+        version: versionOf(entry) + 1
+      };
+      return { before: entry, entry: entries[index] };
+    });
+    if (result.conflict) {
+      return sendVersionConflict(res, result.conflict);
+    }
+    if (!result.entry) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    await audit(req, { action: 'taxonomy.update', kind: 'update', targetType: 'taxonomyEntry', targetId: result.entry.id, before: result.before, after: result.entry });
+    res.set('ETag', etagFor(result.entry));
+    res.json({ success: true, data: result.entry });
+  } catch (error) {
+    console.error('Error updating taxonomy entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to update taxonomy entry' });
+  }
+});
+
+// DELETE /api/taxonomy/:id - Remove an entry (submissions keep their labels)
+app.delete('/api/taxonomy/:id', authorize('DELETE /api/taxonomy/:id'), requireIfMatch, async (req, res) => {
+  try {
+    const result = await taxonomyStore.mutate(entries => {
+      const index = entries.findIndex(e => e.id === req.params.id);
+      if (index === -1) return { status: 404, message: 'Taxonomy entry not found' };
+      if (entries.some(e => e.mergedInto === req.params.id)) {
+        return { status: 409, message: 'Other entries have been merged into this one' };
+      }
+      if (!matchesVersion(entries[index], req.ifMatch)) return { conflict: entries[index] };
+      const [deleted] = entries.splice(index, 1);
+      return { deleted };
+    });
+    if (result.conflict) {
+      return sendVersionConflict(res, result.conflict);
+    }
+    if (!result.deleted) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    await audit(req, { action: 'taxonomy.delete', kind: 'delete', targetType: 'taxonomyEntry', targetId: result.deleted.id, before: result.deleted });
+    res.json({ success: true, message: 'Taxonomy entry deleted' });
+  } catch (error) {
+    console.error('Error deleting taxonomy entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete taxonomy entry' });
+  }
+});
+
+// POST /api/taxonomy/:id/promote - Make a user-contributed entry predefined
+app.post('/api/taxonomy/:id/promote', authorize('POST /api/taxonomy/:id/promote'), requireIfMatch, async (req, res) => {
+  try {
+    const entry = await taxonomyStore.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Taxonomy entry not found' });
+    }
+    if (entry.mergedInto) {
+      return res.status(409).json({ success: false, message: 'This entry has been merged into another one' });
+    }
+    const { record: promoted, conflict } = await updateIfMatch(taxonomyStore, e => e.id === entry.id, req.ifMatch, current => ({
+      ...current,
+      predefined: true,
+      promotedBy: req.user.email,
+      promotedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }));
+    if (conflict) {
+      return sendVersionConflict(res, conflict);
+    }
+    if (!promoted) {
+      return res.status(404).json({ success: false, message: 'Taxonomy entry not found' });
+    }
+    await audit(req, { action: 'taxonomy.promote', kind: 'update', targetType: 'taxonomyEntry', targetId: entry.id, before: entry, after: promoted });
+    res.set('ETag', etagFor(promoted));
+    res.json({ success: true, data: promoted });
+  } catch (error) {
+    console.error('Error promoting taxonomy entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to promote taxonomy entry' });
   }
 });
 
-// GET /api/user-value-history - Get user's value history from submissions
-app.get('/api/user-value-history/:email', async (req, res) => {
+// POST /api/taxonomy/:id/merge - Merge an entry into another of the same kind; its label
+// (and synonyms) become synonyms of the target. If-Match is the version of the entry merged away.
+app.post('/api/taxonomy/:id/merge', authorize('POST /api/taxonomy/:id/merge'), requireIfMatch, validateBody(schemas.taxonomyMerge), async (req, res) => {
   try {
-    const { email } = req.params;
-    
-    // Load both types of submissions
-    const focusGroupData = await loadFocusGroupSubmissions();
-    const individualData = await loadSubmissions();
-    
-    // Collect all values from user's submissions
-    const userValues = new Set();
-    const userValueDetails = [];
-    
-    // Check focus group submissions
-    const userFocusGroupSubmissions = focusGroupData.filter(sub => sub.email === email);
-    userFocusGroupSubmissions.forEach(sub => {
-      if (sub.cases && Array.isArray(sub.cases)) {
-        sub.cases.forEach(caseItem => {
-          if (caseItem.values && Array.isArray(caseItem.values)) {
-            caseItem.values.forEach(valueItem => {
-              if (valueItem.value && !userValues.has(valueItem.value)) {
-                userValues.add(valueItem.value);
-                userValueDetails.push({
-                  value: valueItem.value,
-                  definition: valueItem.definition || '',
-                  source: 'focus-group',
-                  submissionDate: sub.submittedAt
-                });
-              }
-            });
-          }
-        });
+    const result = await taxonomyStore.mutate(entries => {
+      const source = entries.find(e => e.id === req.params.id);
+      const target = entries.find(e => e.id === req.body.into);
+      if (!source || !target) return { status: 404, message: 'Taxonomy entry not found' };
+      if (source.id === target.id) return { status: 400, message: 'An entry cannot be merged into itself' };
+      if (source.kind !== target.kind) return { status: 400, message: 'Only entries of the same kind can be merged' };
+      if (source.mergedInto || target.mergedInto) {
+        return { status: 409, message: 'This entry has already been merged into another one' };
       }
+      if (!matchesVersion(source, req.ifMatch)) return { conflict: source };
+
+      const before = { ...target };
+      const now = new Date().toISOString();
+      const known = new Set([target.label, ...target.synonyms].map(normalizeLabel));
+      const added = [source.label, ...source.synonyms].filter(label => !known.has(normalizeLabel(label)));
+      Object.assign(target, { synonyms: [...target.synonyms, ...added], updatedAt: now, version: versionOf(target) + 1 });
+      Object.assign(source, { mergedInto: target.id, mergedBy: req.user.email, mergedAt: now, updatedAt: now, version: versionOf(source) + 1 });
+      // Entries merged into the source earlier now point straight at the target
+      entries.forEach(e => {
+        if (e.mergedInto === source.id) e.mergedInto = target.id;
+      });
+      return { before, entry: target };
     });
-    
-    // Check individual submissions
-    const userIndividualSubmissions = individualData.filter(sub => sub.author === email || sub.email === email);
-    userIndividualSubmissions.forEach(sub => {
-      if (sub.cases && Array.isArray(sub.cases)) {
-        sub.cases.forEach(caseItem => {
-          if (caseItem.values && Array.isArray(caseItem.values)) {
-            caseItem.values.forEach(valueItem => {
-              if (valueItem.value && !userValues.has(valueItem.value)) {
-                userValues.add(valueItem.value);
-                userValueDetails.push({
-                  value: valueItem.value,
-                  definition: valueItem.definition || '',
-                  source: 'individual',
-                  submissionDate: sub.submittedAt
-                });
-              }
-            });
-          }
+    if (result.conflict) {
+      return sendVersionConflict(res, result.conflict);
+    }
+    if (!result.entry) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    await audit(req, {
+      action: 'taxonomy.merge',
+      kind: 'update',
+      targetType: 'taxonomyEntry',
+      targetId: result.entry.id,
+      before: result.before,
+      after: result.entry,
+      details: { merged: req.params.id }
+    });
+    res.set('ETag', etagFor(result.entry));
+    res.json({ success: true, data: result.entry });
+  } catch (error) {
+    console.error('Error merging taxonomy entries:', error);
+    res.status(500).json({ success: false, message: 'Failed to merge taxonomy entries' });
+  }
+});
+
+// The values or tensions a user has used, first use of each label only. Tension history
+// leaves out the predefined tensions; value history keeps every value.
+async function userTermHistory(email, kind) {
+  const index = buildLabelIndex(await taxonomyStore.all(), kind);
+  const sources = [
+    ['focus-group', await focusGroupStore.filter(sub => sub.email === email)],
+    ['individual', await caseStudyStore.filter(sub => sub.author === email || sub.email === email)]
+  ];
+  const seen = new Set();
+  const details = [];
+  sources.forEach(([source, submissions]) => {
+    submissions.forEach(sub => {
+      recordItems(sub, kind).forEach(item => {
+        const key = normalizeLabel(item.value);
+        if (seen.has(key) || (kind === 'tension' && isPredefinedLabel(index, item.value))) return;
+        seen.add(key);
+        const entry = resolveLabel(index, item.value);
+        details.push({
+          value: item.value,
+          definition: item.definition || '',
+          taxonomyId: entry ? entry.id : null,
+          source,
+          submissionDate: sub.submittedAt
         });
-      }
+      });
     });
-    
+  });
+  return details;
+}
+
+// GET /api/user-value-history - Get user's custom values from submissions
+app.get('/api/user-value-history/:email', authorize('GET /api/user-value-history/:email'), async (req, res) => {
+  try {
+    if (!can(req.user, 'profile:read', { email: req.params.email })) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
+    }
+    const userValueDetails = await userTermHistory(req.params.email, 'value');
     res.json({
       success: true,
       data: userValueDetails,
       count: userValueDetails.length,
       hasSubmissions: userValueDetails.length > 0
     });
-    
   } catch (error) {
     console.error('Error fetching user value history:', error);
     res.status(500).json({ 
@@ -665,88 +2492,19 @@ app.get('/api/user-value-history/:email', async (req, res) => {
   }
 });
 
-// GET /api/user-tension-history - Get user's tension history from submissions
-app.get('/api/user-tension-history/:email', async (req, res) => {
+// GET /api/user-tension-history - Get user's custom tensions (not predefined ones) from submissions
+app.get('/api/user-tension-history/:email', authorize('GET /api/user-tension-history/:email'), async (req, res) => {
   try {
-    const { email } = req.params;
-    
-    // Define predefined tensions to filter out
-    const predefinedTensions = [
-      "Privacy vs. Transparency",
-      "Accuracy vs. Fairness", 
-      "Autonomy vs. Safety",
-      "Efficiency vs. Explainability",
-      "Innovation vs. Regulation",
-      "Individual vs. Collective Good",
-      "Accessibility vs. Complexity",
-      "Customization vs. Standardization"
-    ];
-    
-    // Load both types of submissions
-    const focusGroupData = await loadFocusGroupSubmissions();
-    const individualData = await loadSubmissions();
-    
-    // Collect all tensions from user's submissions
-    const userTensions = new Set();
-    const userTensionDetails = [];
-    
-    // Check focus group submissions
-    const userFocusGroupSubmissions = focusGroupData.filter(sub => sub.email === email);
-    userFocusGroupSubmissions.forEach(sub => {
-      if (sub.cases && Array.isArray(sub.cases)) {
-        sub.cases.forEach(caseItem => {
-          if (caseItem.tensions && Array.isArray(caseItem.tensions)) {
-            caseItem.tensions.forEach(tensionItem => {
-              // Only include custom tensions (not predefined ones)
-              if (tensionItem.value && 
-                  !userTensions.has(tensionItem.value) && 
-                  !predefinedTensions.includes(tensionItem.value)) {
-                userTensions.add(tensionItem.value);
-                userTensionDetails.push({
-                  value: tensionItem.value,
-                  definition: tensionItem.definition || '',
-                  source: 'focus-group',
-                  submissionDate: sub.submittedAt
-                });
-              }
-            });
-          }
-        });
-      }
-    });
-    
-    // Check individual submissions
-    const userIndividualSubmissions = individualData.filter(sub => sub.author === email || sub.email === email);
-    userIndividualSubmissions.forEach(sub => {
-      if (sub.cases && Array.isArray(sub.cases)) {
-        sub.cases.forEach(caseItem => {
-          if (caseItem.tensions && Array.isArray(caseItem.tensions)) {
-            caseItem.tensions.forEach(tensionItem => {
-              // Only include custom tensions (not predefined ones)
-              if (tensionItem.value && 
-                  !userTensions.has(tensionItem.value) && 
-                  !predefinedTensions.includes(tensionItem.value)) {
-                userTensions.add(tensionItem.value);
-                userTensionDetails.push({
-                  value: tensionItem.value,
-                  definition: tensionItem.definition || '',
-                  source: 'individual',
-                  submissionDate: sub.submittedAt
-                });
-              }
-            });
-          }
-        });
-      }
-    });
-    
+    if (!can(req.user, 'profile:read', { email: req.params.email })) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to do this' });
+    }
+    const userTensionDetails = await userTermHistory(req.params.email, 'tension');
     res.json({
       success: true,
       data: userTensionDetails,
       count: userTensionDetails.length,
       hasSubmissions: userTensionDetails.length > 0
     });
-    
   } catch (error) {
     console.error('Error fetching user tension history:', error);
     res.status(500).json({ 
@@ -756,50 +2514,717 @@ app.get('/api/user-tension-history/:email', async (req, res) => {
   }
 });
 
+// Analytics - value and tension counts for researchers (see lib/analytics.js)
 
+// Reads the shared analytics query string into req.analytics
+function analyticsQuery(req, res, next) {
+  const { options, error } = parseAnalyticsQuery(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  req.analytics = options;
+  next();
+}
 
-// DOWNLOAD: case-studies.json
-app.get('/download/case-studies', async (req, res) => {
-  const filePath = path.join(__dirname, 'data', 'case-studies.json');
-  res.download(filePath, 'case-studies.json', (err) => {
-    if (err) {
-      console.error('Download error:', err);
-      res.status(500).send('Could not download case-studies.json');
-    }
+// One row per case of the chosen submissions, filtered by session, group, concept card and time
+async function analyticsRows(options) {
+  const records = [];
+  if (options.source !== 'case-studies') {
+    records.push(...currentRevisions(await focusGroupStore.all()));
+  }
+  if (options.source !== 'focus-group') {
+    records.push(...await caseStudyStore.all());
+  }
+  const rows = caseRows(records, {
+    entries: await taxonomyStore.all(),
+    sessions: await sessionStore.all()
   });
+  return filterRows(rows, options);
+}
+
+// GET /api/analytics/frequencies?kind=&by=session|group|conceptCard|time&interval= - How many
+// cases use each value or tension, overall and broken down
+app.get('/api/analytics/frequencies', authorize('GET /api/analytics/frequencies'), analyticsQuery, async (req, res) => {
+  try {
+    const rows = await analyticsRows(req.analytics);
+    res.json({ success: true, data: frequencies(rows, req.analytics) });
+  } catch (error) {
+    console.error('Error computing frequencies:', error);
+    res.status(500).json({ success: false, message: 'Failed to compute frequencies' });
+  }
+});
+
+// GET /api/analytics/co-occurrence?kind= - How often two values (or tensions) appear in the same case
+app.get('/api/analytics/co-occurrence', authorize('GET /api/analytics/co-occurrence'), analyticsQuery, async (req, res) => {
+  try {
+    const rows = await analyticsRows(req.analytics);
+    res.json({ success: true, data: coOccurrence(rows, req.analytics) });
+  } catch (error) {
+    console.error('Error computing co-occurrence:', error);
+    res.status(500).json({ success: false, message: 'Failed to compute co-occurrence' });
+  }
+});
+
+// GET /api/analytics/tension-value-pairs?limit= - The value pairs most often behind each tension
+app.get('/api/analytics/tension-value-pairs', authorize('GET /api/analytics/tension-value-pairs'), analyticsQuery, async (req, res) => {
+  try {
+    const rows = await analyticsRows(req.analytics);
+    const data = tensionValuePairs(rows, req.analytics);
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    console.error('Error computing tension value pairs:', error);
+    res.status(500).json({ success: false, message: 'Failed to compute tension value pairs' });
+  }
+});
+
+// GET /api/analytics/participants - Contribution counts per participant
+app.get('/api/analytics/participants', authorize('GET /api/analytics/participants'), analyticsQuery, async (req, res) => {
+  try {
+    const rows = await analyticsRows(req.analytics);
+    const data = participantContributions(rows);
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    console.error('Error computing participant contributions:', error);
+    res.status(500).json({ success: false, message: 'Failed to compute participant contributions' });
+  }
 });
 
-// DOWNLOAD: case-studies-focus-group.json
-app.get('/download/focus-group', async (req, res) => {
-  const filePath = path.join(__dirname, 'data', 'case-studies-focus-group.json');
-  res.download(filePath, 'case-studies-focus-group.json', (err) => {
-    if (err) {
-      console.error('Download error:', err);
-      res.status(500).send('Could not download focus group file');
+// GET /api/analytics/agreement?group=&conceptCard=&threshold=&kind= - Inter-rater agreement
+// between the participants of a group coding one concept card, for the current revisions and
+// for the originals, plus how much facilitator edits changed each participant's coding
+app.get('/api/analytics/agreement', authorize('GET /api/analytics/agreement'), async (req, res) => {
+  try {
+    const { group, conceptCard, kind = 'value' } = req.query;
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DEFAULT_CONSENSUS_THRESHOLD;
+    if (!group || !conceptCard) {
+      return res.status(400).json({ success: false, message: 'group and conceptCard are required' });
     }
-  });
+    if (!isTaxonomyKind(kind)) {
+      return res.status(400).json({ success: false, message: 'kind must be "value" or "tension"' });
+    }
+    if (!(threshold > 0 && threshold <= 1)) {
+      return res.status(400).json({ success: false, message: 'threshold must be a share between 0 and 1' });
+    }
+
+    const submissions = await focusGroupStore.all();
+    const entries = await taxonomyStore.all();
+    const sessions = await sessionStore.all();
+    // Participant -> every label they chose on the group's cases for this card
+    const codings = records => {
+      const raters = new Map();
+      filterRows(caseRows(records, { entries, sessions }), { group, conceptCard }).forEach(row => {
+        if (!raters.has(row.participant)) raters.set(row.participant, new Set());
+        row[TAXONOMY_KINDS[kind]].forEach(label => raters.get(row.participant).add(label));
+      });
+      return raters;
+    };
+
+    const current = currentRevisions(submissions);
+    const currentCodings = codings(current);
+    const originalCodings = codings(submissions.filter(s => !s.isEditedVersion));
+    const editedRaters = new Set(current.filter(s => s.isEditedVersion).map(s => s.email));
+    // Both versions are scored over the same items, so their kappas can be compared
+    const categories = [...new Set([
+      ...entries.filter(e => e.kind === kind && !e.mergedInto).map(e => e.label),
+      ...[...originalCodings.values(), ...currentCodings.values()].flatMap(labels => [...labels])
+    ])];
+
+    res.json({
+      success: true,
+      data: {
+        group,
+        conceptCard,
+        kind,
+        current: agreementSummary(currentCodings, categories, threshold),
+        original: agreementSummary(originalCodings, categories, threshold),
+        facilitatorChanges: facilitatorChanges(originalCodings, currentCodings, editedRaters)
+      }
+    });
+  } catch (error) {
+    console.error('Error computing agreement:', error);
+    res.status(500).json({ success: false, message: 'Failed to compute agreement' });
+  }
 });
 
-// DOWNLOAD: users.json
-app.get('/download/users', async (req, res) => {
-  const filePath = path.join(__dirname, 'data', 'users.json');
-  res.download(filePath, 'users.json', (err) => {
-    if (err) {
-      console.error('Download error:', err);
-      res.status(500).send('Could not download users file');
+// POST /api/import/:dataset?dryRun=true&format=json|csv - Bulk import case studies or
+// focus-group submissions (see lib/bulk-import.js). The format defaults to CSV for text/csv
+// bodies and JSON otherwise. Nothing is imported if any record is invalid.
+app.post('/api/import/:dataset', authorize('POST /api/import/:dataset'), async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    if (!isImportDataset(dataset)) {
+      return res.status(400).json({ success: false, message: `dataset must be one of: ${Object.keys(IMPORT_DATASETS).join(', ')}` });
+    }
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be "json" or "csv"' });
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    let batch = null;
+    try {
+      batch = parseBatch(req.body, format, dataset);
+    } catch (error) {
+      batch = null;
+    }
+    if (!batch) {
+      return res.status(400).json({ success: false, message: 'Send a JSON array of records, { "records": [...] }, or CSV with a header row' });
+    }
+
+    const target = dataset === 'focus-group' ? focusGroupStore : caseStudyStore;
+    const options = { dataset, sessions: await sessionStore.all(), importedBy: req.user.email };
+    let plan;
+    if (dryRun) {
+      plan = planImport(batch, await target.all(), options);
+    } else {
+      plan = await target.mutate(existing => {
+        const result = planImport(batch, existing, options);
+        existing.push(...result.records);
+        return result;
+      });
+      await recordContributions(plan.records);
+      if (plan.records.length) {
+        await audit(req, {
+          action: `import.${dataset}`,
+          kind: 'create',
+          targetType: dataset === 'focus-group' ? 'focusGroupSubmission' : 'caseStudy',
+          targetId: null,
+          details: { format, imported: plan.records.map(r => r.id), duplicates: plan.report.duplicates.length }
+        });
+      }
+    }
+
+    const report = { ...plan.report, dryRun, imported: dryRun ? 0 : plan.records.length };
+    if (report.errors.length) {
+      return res.status(422).json({ success: false, message: 'Some records are invalid; nothing was imported', data: report });
     }
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error importing submissions:', error);
+    res.status(500).json({ success: false, message: 'Failed to import submissions' });
+  }
+});
+
+
+
+// Send a collection as a JSON file download
+function sendJsonDownload(res, filename, records) {
+  res.attachment(filename);
+  res.type('application/json');
+  res.send(JSON.stringify(records, null, 2));
+}
+
+// Emails of everyone whose submissions may be used in research: users who currently consent,
+// and anonymized accounts that consented before they were deleted
+async function researchConsentingEmails() {
+  const anonymized = (await accountDeletionStore.filter(r => r.status === 'completed' && r.anonymizedEmail))
+    .map(r => ({ email: r.anonymizedEmail, consent: r.consent }));
+  return consentingEmails([...await userStore.all(), ...anonymized], await consentDocumentStore.all());
+}
+
+// Send submissions as a download in the format, flattening and filters from the query
+// (see lib/exports.js), de-identified with ?deidentify=true. Without a format this is the
+// raw JSON file, as before. Submissions of people without research consent are left out;
+// the X-Excluded-Without-Consent header says how many.
+async function sendSubmissionsDownload(req, res, dataset, records) {
+  const { options, error } = parseExportQuery(req.query, dataset);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  const consented = filterConsented(records, dataset, await researchConsentingEmails());
+  let filtered = filterRecords(consented.records, options);
+  if (req.deidentify) {
+    const deidentifier = await deidentifierFor(req.deidentify.study, filtered);
+    filtered = filtered.map(deidentifier.record);
+  }
+  await audit(req, {
+    action: `export.${dataset}`,
+    kind: 'export',
+    targetType: dataset === 'focus-group' ? 'focusGroupSubmission' : 'caseStudy',
+    targetId: null,
+    details: { ...req.query, records: filtered.length, excludedWithoutConsent: consented.excluded }
   });
+  res.set('X-Excluded-Without-Consent', String(consented.excluded));
+  if (options.format === 'json') {
+    const filename = dataset === 'focus-group' ? 'case-studies-focus-group.json' : 'case-studies.json';
+    return sendJsonDownload(res, filename, filtered);
+  }
+  const table = flattenRecords(filtered, options);
+  const filename = `${dataset}-${options.flatten}.${options.format}`;
+  res.attachment(filename);
+  if (options.format === 'csv') {
+    res.type('text/csv');
+    return res.send(toCsv(table));
+  }
+  res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.send(Buffer.from(await toXlsx(table, dataset)));
+}
+
+// DOWNLOAD: case studies - ?format=json|csv|xlsx&flatten=submission|case|item&group=&from=&to=&status=
+app.get('/download/case-studies', authorize('GET /download/case-studies'), deidentifyQuery, async (req, res) => {
+  try {
+    await sendSubmissionsDownload(req, res, 'case-studies', await caseStudyStore.all());
+  } catch (err) {
+    console.error('Download error:', err);
+    res.status(500).send('Could not download case studies');
+  }
+});
+
+// DOWNLOAD: focus-group submissions - ?format=json|csv|xlsx&flatten=submission|case|item&group=&from=&to=&editedOnly=true
+app.get('/download/focus-group', authorize('GET /download/focus-group'), deidentifyQuery, async (req, res) => {
+  try {
+    await sendSubmissionsDownload(req, res, 'focus-group', await focusGroupStore.all());
+  } catch (err) {
+    console.error('Download error:', err);
+    res.status(500).send('Could not download focus group file');
+  }
+});
+
+// DOWNLOAD: users.json - ?deidentify=true keeps only pseudonym, role and country
+app.get('/download/users', authorize('GET /download/users'), deidentifyQuery, async (req, res) => {
+  try {
+    const users = await userStore.all();
+    await audit(req, { action: 'export.users', kind: 'export', targetType: 'user', targetId: null, details: { ...req.query, records: users.length } });
+    if (req.deidentify) {
+      const deidentifier = await deidentifierFor(req.deidentify.study, []);
+      return sendJsonDownload(res, 'users.json', users.map(deidentifier.user));
+    }
+    // Only the listed fields, as GET /api/users - never password hashes or tokens
+    const consentDocuments = await consentDocumentStore.all();
+    sendJsonDownload(res, 'users.json', users.map(user => ({
+      ...toPublicUser(user),
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt || null,
+      consentStatus: consentStatus(user, consentDocuments)
+    })));
+  } catch (err) {
+    console.error('Download error:', err);
+    res.status(500).send('Could not download users file');
+  }
+});
+
+// Re-identification key - the pseudonym table of a study. Every download is logged.
+
+// GET /api/deidentification/key?study=&format=json|csv - Download a study's key file
+app.get('/api/deidentification/key', authorize('GET /api/deidentification/key'), async (req, res) => {
+  try {
+    const study = req.query.study || DEFAULT_STUDY;
+    const format = req.query.format || 'json';
+    if (!isValidStudy(study)) {
+      return res.status(400).json({ success: false, message: 'study must be letters, digits, "-" or "_"' });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be "json" or "csv"' });
+    }
+    const users = await userStore.all();
+    const usersByEmail = new Map(users.map(u => [u.email.toLowerCase(), u]));
+    const key = (await pseudonymStore.filter(entry => entry.study === study)).map(entry => {
+      const user = usersByEmail.get(entry.identity);
+      return {
+        pseudonym: entry.pseudonym,
+        email: user ? user.email : (entry.identity.includes('@') ? entry.identity : null),
+        username: user ? user.username : entry.identity.replace(/^username:/, ''),
+        assignedAt: entry.createdAt
+      };
+    });
+
+    await keyAccessStore.insert({
+      id: crypto.randomUUID(),
+      study,
+      accessedBy: req.user.email,
+      accessedAt: new Date().toISOString(),
+      ip: req.ip,
+      entryCount: key.length
+    });
+    await audit(req, { action: 'export.pseudonymKey', kind: 'export', targetType: 'study', targetId: study, details: { format, entries: key.length } });
+
+    if (format === 'csv') {
+      res.attachment(`pseudonym-key-${study}.csv`);
+      res.type('text/csv');
+      return res.send(toCsv({ columns: ['pseudonym', 'email', 'username', 'assignedAt'], rows: key }));
+    }
+    sendJsonDownload(res, `pseudonym-key-${study}.json`, key);
+  } catch (error) {
+    console.error('Error downloading pseudonym key:', error);
+    res.status(500).json({ success: false, message: 'Failed to download pseudonym key' });
+  }
+});
+
+// GET /api/deidentification/key-access?study= - Who downloaded key files, newest first
+app.get('/api/deidentification/key-access', authorize('GET /api/deidentification/key-access'), async (req, res) => {
+  try {
+    const { study } = req.query;
+    const log = (await keyAccessStore.filter(entry => !study || entry.study === study))
+      .sort((a, b) => new Date(b.accessedAt) - new Date(a.accessedAt));
+    res.json({ success: true, data: log, count: log.length });
+  } catch (error) {
+    console.error('Error loading key access log:', error);
+    res.status(500).json({ success: false, message: 'Failed to load key access log' });
+  }
+});
+
+// Audit trail (see lib/audit.js)
+
+// GET /api/audit?actor=&action=&kind=&targetType=&targetId=&from=&to=&limit=&offset=&format=json|csv
+// Matching entries, newest first
+app.get('/api/audit', authorize('GET /api/audit'), async (req, res) => {
+  try {
+    const { options, error } = parseAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    const matching = filterEntries(await auditLog.entries(), options);
+    const page = matching.slice(options.offset, options.offset + options.limit);
+    if (options.format === 'csv') {
+      res.attachment('audit-log.csv');
+      res.type('text/csv');
+      return res.send(toCsv(entryRows(page)));
+    }
+    res.json({ success: true, data: page, count: page.length, total: matching.length, offset: options.offset, limit: options.limit });
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    res.status(500).json({ success: false, message: 'Failed to load audit log' });
+  }
+});
+
+// GET /api/audit/verify - Check that no audit entry has been changed or removed
+app.get('/api/audit/verify', authorize('GET /api/audit/verify'), async (req, res) => {
+  try {
+    res.json({ success: true, data: verifyChain(await auditStore.all()) });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({ success: false, message: 'Failed to verify audit log' });
+  }
+});
+
+
+// Research consent (see lib/consent.js)
+
+// GET /api/consent/documents/current - The consent document participants are asked to accept
+app.get('/api/consent/documents/current', async (req, res) => {
+  try {
+    const doc = currentDocument(await consentDocumentStore.all());
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'No consent document has been published' });
+    }
+    res.json({ success: true, data: doc });
+  } catch (error) {
+    console.error('Error loading consent document:', error);
+    res.status(500).json({ success: false, message: 'Failed to load consent document' });
+  }
+});
+
+// GET /api/consent/documents - Every version of the consent document, newest first
+app.get('/api/consent/documents', requireAuth, async (req, res) => {
+  try {
+    const documents = (await consentDocumentStore.all()).sort((a, b) => b.version - a.version);
+    res.json({ success: true, data: documents, count: documents.length });
+  } catch (error) {
+    console.error('Error listing consent documents:', error);
+    res.status(500).json({ success: false, message: 'Failed to list consent documents' });
+  }
+});
+
+// POST /api/consent/documents - Publish a new version { title, text, requiresReconsent? }.
+// With requiresReconsent, acceptances of earlier versions stop counting.
+app.post('/api/consent/documents', authorize('POST /api/consent/documents'), validateBody(schemas.consentDocument), async (req, res) => {
+  try {
+    const doc = await consentDocumentStore.mutate(documents => {
+      const created = newConsentDocument(req.body, documents, req.user);
+      documents.push(created);
+      return created;
+    });
+    await audit(req, { action: 'consentDocument.create', kind: 'create', targetType: 'consentDocument', targetId: doc.id, after: doc });
+    res.status(201).json({ success: true, message: `Consent document version ${doc.version} published`, data: doc });
+  } catch (error) {
+    console.error('Error publishing consent document:', error);
+    res.status(500).json({ success: false, message: 'Failed to publish consent document' });
+  }
+});
+
+// GET /api/consent - The caller's consent and the current document
+app.get('/api/consent', requireAuth, async (req, res) => {
+  try {
+    const documents = await consentDocumentStore.all();
+    res.json({
+      success: true,
+      data: {
+        status: consentStatus(req.user, documents),
+        consent: req.user.consent || null,
+        currentDocument: currentDocument(documents)
+      }
+    });
+  } catch (error) {
+    console.error('Error loading consent:', error);
+    res.status(500).json({ success: false, message: 'Failed to load consent' });
+  }
+});
+
+// POST /api/consent - Accept the current consent document { documentId }
+app.post('/api/consent', requireAuth, validateBody(schemas.consentAcceptance), async (req, res) => {
+  try {
+    const documents = await consentDocumentStore.all();
+    const doc = documents.find(d => d.id === req.body.documentId);
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Consent document not found' });
+    }
+    const latest = currentDocument(documents);
+    if (doc.id !== latest.id) {
+      return res.status(409).json({ success: false, message: `A newer consent document (version ${latest.version}) has been published`, currentDocument: latest });
+    }
+
+    const updated = await userStore.update(u => u.id === req.user.id, current => ({ ...current, consent: giveConsent(current, doc) }));
+    await audit(req, { action: 'user.giveConsent', kind: 'account', targetType: 'user', targetId: req.user.id, details: { documentId: doc.id, version: doc.version } });
+    res.json({ success: true, message: 'Consent recorded', data: { status: consentStatus(updated, documents), consent: updated.consent } });
+  } catch (error) {
+    console.error('Error recording consent:', error);
+    res.status(500).json({ success: false, message: 'Failed to record consent' });
+  }
 });
 
+// POST /api/consent/withdraw - Withdraw consent; the caller's submissions leave research downloads
+app.post('/api/consent/withdraw', requireAuth, async (req, res) => {
+  try {
+    if (!req.user.consent || req.user.consent.status === 'withdrawn') {
+      return res.status(409).json({ success: false, message: 'You have not given consent' });
+    }
+    const updated = await userStore.update(u => u.id === req.user.id, current => ({ ...current, consent: withdrawConsent(current) }));
+    await audit(req, { action: 'user.withdrawConsent', kind: 'account', targetType: 'user', targetId: req.user.id, details: { version: updated.consent.version } });
+    res.json({ success: true, message: 'Consent withdrawn', data: { status: 'withdrawn', consent: updated.consent } });
+  } catch (error) {
+    console.error('Error withdrawing consent:', error);
+    res.status(500).json({ success: false, message: 'Failed to withdraw consent' });
+  }
+});
+
+// Participant data rights - a copy of one's data and account deletion (see lib/data-rights.js)
+
+// How often scheduled account deletions are checked for being due
+const DELETION_SWEEP_MS = 60 * 60 * 1000;
+
+// GET /api/account/export - Everything stored about the caller, as a JSON download
+app.get('/api/account/export', requireAuth, async (req, res) => {
+  try {
+    const data = collectUserData(req.user, {
+      caseStudies: await caseStudyStore.all(),
+      focusGroupSubmissions: await focusGroupStore.all(),
+      comments: await commentStore.all(),
+      taxonomy: await taxonomyStore.all(),
+      auditLog: await auditLog.entries()
+    });
+    data.deletionRequests = await accountDeletionStore.filter(r => r.userId === req.user.id);
+    await audit(req, {
+      action: 'user.exportData',
+      kind: 'export',
+      targetType: 'user',
+      targetId: req.user.id,
+      details: {
+        caseStudies: data.caseStudies.length,
+        focusGroupSubmissions: data.focusGroupSubmissions.length,
+        comments: data.comments.length,
+        taxonomyContributions: data.taxonomyContributions.length,
+        auditEntries: data.auditEntries.length
+      }
+    });
+    sendJsonDownload(res, `my-data-${new Date().toISOString().slice(0, 10)}.json`, data);
+  } catch (error) {
+    console.error('Error exporting account data:', error);
+    res.status(500).json({ success: false, message: 'Failed to export your data' });
+  }
+});
+
+// POST /api/account/deletion - Schedule deletion of the caller's account after the grace
+// period; { password, policy? } (policy "anonymize" or "hard-delete", default from the server)
+app.post('/api/account/deletion', requireAuth, validateBody(schemas.accountDeletion), async (req, res) => {
+  try {
+    const { password, policy = DEFAULT_DELETION_POLICY } = req.body;
+    if (!(await bcrypt.compare(password, req.user.passwordHash))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request body',
+        errors: [{ field: 'password', message: 'is not your password' }]
+      });
+    }
+    if (normalizeRole(req.user.role) === 'admin' && !(await userStore.find(u => u.id !== req.user.id && normalizeRole(u.role) === 'admin'))) {
+      return res.status(409).json({ success: false, message: 'The only admin account cannot be deleted; make someone else an admin first' });
+    }
+
+    const request = await accountDeletionStore.mutate(requests => {
+      if (requests.some(r => r.userId === req.user.id && r.status === 'scheduled')) return null;
+      const created = newDeletionRequest(req.user, policy);
+      requests.push(created);
+      return created;
+    });
+    if (!request) {
+      return res.status(409).json({ success: false, message: 'Your account is already scheduled for deletion' });
+    }
+    await audit(req, {
+      action: 'user.requestDeletion',
+      kind: 'account',
+      targetType: 'user',
+      targetId: req.user.id,
+      details: { requestId: request.id, policy, scheduledFor: request.scheduledFor }
+    });
+    await sendMail(accountDeletionEmail(req.user, request));
+    // Without a grace period the deletion is carried out right away
+    if (new Date(request.scheduledFor) <= new Date()) {
+      await processDueDeletions();
+      return res.json({ success: true, message: 'Your account has been deleted', data: await accountDeletionStore.get(request.id) });
+    }
+    res.status(202).json({ success: true, message: `Your account will be deleted on ${request.scheduledFor}`, data: request });
+  } catch (error) {
+    console.error('Error scheduling account deletion:', error);
+    res.status(500).json({ success: false, message: 'Failed to schedule account deletion' });
+  }
+});
+
+// GET /api/account/deletion - The caller's scheduled deletion, if any
+app.get('/api/account/deletion', requireAuth, async (req, res) => {
+  try {
+    const request = await accountDeletionStore.find(r => r.userId === req.user.id && r.status === 'scheduled');
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Your account is not scheduled for deletion' });
+    }
+    res.json({ success: true, data: request });
+  } catch (error) {
+    console.error('Error loading account deletion:', error);
+    res.status(500).json({ success: false, message: 'Failed to load account deletion' });
+  }
+});
+
+// DELETE /api/account/deletion - Cancel the caller's scheduled deletion during the grace period
+app.delete('/api/account/deletion', requireAuth, async (req, res) => {
+  try {
+    const request = await accountDeletionStore.update(r => r.userId === req.user.id && r.status === 'scheduled', current => ({
+      ...current,
+      status: 'cancelled',
+      cancelledAt: new Date().toISOString()
+    }));
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Your account is not scheduled for deletion' });
+    }
+    await audit(req, { action: 'user.cancelDeletion', kind: 'account', targetType: 'user', targetId: req.user.id, details: { requestId: request.id } });
+    res.json({ success: true, message: 'Account deletion cancelled', data: request });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel account deletion' });
+  }
+});
+
+// GET /api/account-deletions?status=scheduled|cancelled|completed - Deletion requests, newest first
+app.get('/api/account-deletions', authorize('GET /api/account-deletions'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const requests = (await accountDeletionStore.filter(r => !status || r.status === status))
+      .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt));
+    res.json({ success: true, data: requests, count: requests.length });
+  } catch (error) {
+    console.error('Error listing account deletions:', error);
+    res.status(500).json({ success: false, message: 'Failed to list account deletions' });
+  }
+});
 
+// Carry out one deletion request. The request stays as the record that it happened, without
+// the person's name and email.
+async function eraseAccount(request) {
+  const user = await userStore.get(request.userId);
+  const placeholder = placeholderIdentity();
+  let result = null;
+  if (user) {
+    const { policy } = request;
+    const caseStudies = await caseStudyStore.mutate(records => eraseCaseStudies(records, user, policy, placeholder));
+    const submissions = await focusGroupStore.mutate(records => eraseSubmissions(records, user, policy, placeholder));
+    const removedTargets = policy === 'hard-delete'
+      ? { 'case-study': caseStudies.ids, 'focus-group-submission': submissions.ids }
+      : {};
+    const comments = await commentStore.mutate(records => eraseComments(records, user, policy, placeholder, removedTargets));
+    const sessions = await sessionStore.mutate(records => leaveSessions(records, user));
+    const remaining = [...await caseStudyStore.all(), ...await focusGroupStore.all()];
+    const contributions = await taxonomyStore.mutate(entries => eraseContributions(entries, user, policy, remaining));
+    await pseudonymStore.remove(entry => entry.identity === user.email.toLowerCase());
+    await authSessionStore.remove(s => s.userId === user.id);
+    await accountTokenStore.remove(t => t.userId === user.id);
+    const throttleKeys = new Set([`user:${user.id}`, `email:${user.email}`, `unknown:${user.email}`, `unknown:${user.username}`]
+      .map(key => key.toLowerCase()));
+    await throttleStore.remove(t => throttleKeys.has(String(t.key).toLowerCase()));
+    await userStore.remove(u => u.id === user.id);
+    // Whatever still names the person (credits, edit and review stamps, key access records)
+    // points at the placeholder from here on
+    for (const collection of [caseStudyStore, focusGroupStore, commentStore, sessionStore, taxonomyStore, keyAccessStore]) {
+      await collection.mutate(records => scrubRecords(records, user, placeholder));
+    }
+    const auditSubjects = await auditLog.forget(user, placeholder);
+    result = {
+      caseStudies: caseStudies.count,
+      focusGroupSubmissions: submissions.count,
+      comments,
+      taxonomyContributions: contributions,
+      sessionsLeft: sessions,
+      auditSubjectsErased: auditSubjects
+    };
+  }
+
+  await accountDeletionStore.update(r => r.id === request.id, current => ({
+    ...current,
+    username: null,
+    email: null,
+    status: 'completed',
+    completedAt: new Date().toISOString(),
+    anonymizedAs: user && request.policy === 'anonymize' ? placeholder.username : null,
+    // Anonymized contributions stay usable in research as far as the person consented
+    anonymizedEmail: user && request.policy === 'anonymize' ? placeholder.email : null,
+    consent: user && request.policy === 'anonymize' ? user.consent || null : null,
+    result
+  }));
+  try {
+    await auditLog.append({
+      action: 'user.delete',
+      kind: 'account',
+      actor: null,
+      targetType: 'user',
+      targetId: request.userId,
+      details: { requestId: request.id, policy: request.policy, result }
+    });
+  } catch (error) {
+    console.error('Failed to write audit entry:', error);
+  }
+  console.log(`Account ${request.userId} deleted (${request.policy})`);
+}
+
+// Carry out the deletion requests whose grace period is over
+async function processDueDeletions() {
+  const now = new Date();
+  const due = await accountDeletionStore.filter(r => r.status === 'scheduled' && new Date(r.scheduledFor) <= now);
+  for (const request of due) {
+    try {
+      await eraseAccount(request);
+    } catch (error) {
+      console.error(`Error deleting account ${request.userId}:`, error);
+    }
+  }
+}
 
 // Start server
 async function startServer() {
   await ensureDataDir();
+  // Bring the data up to the current schema version (set MIGRATE_ON_STARTUP=false to run
+  // migrations only by hand with migrate.js)
+  if (process.env.MIGRATE_ON_STARTUP !== 'false') {
+    await migrateUp(store);
+  }
+  // Start an empty taxonomy with the predefined tensions
+  await taxonomyStore.mutate(entries => {
+    if (!entries.length) entries.push(...seedEntries());
+  });
+  
+  await processDueDeletions();
+  setInterval(() => {
+    processDueDeletions().catch(error => console.error('Error processing account deletions:', error));
+  }, DELETION_SWEEP_MS).unref();
   
   app.listen(PORT, () => {
     console.log(`Case Study API server running on http://localhost:${PORT}`);
-    console.log(`Data will be stored in: ${SUBMISSIONS_FILE}`);
+    console.log(`Data will be stored in: ${store.backend === 'sqlite' ? SQLITE_FILE : DATA_DIR} (${store.backend})`);
   });
 }
 